@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Export Labels Script
+ *
+ * Writes decisions labelled from the dashboard or by SMS WRONG replies
+ * (recent_decisions in state.json) into the notified/ and notnotified/
+ * folders, with TP/FP/TN/FN labels and the labeller's reason.
+ *
+ * Email content is reused from an existing file for the same message;
+ * otherwise it is re-fetched from Gmail and trimmed like production.
+ *
+ * Usage:
+ *   node scripts/export-labels.js             # Export all labelled decisions
+ *   node scripts/export-labels.js --refetch   # Ignore cached files, re-fetch from Gmail
+ *   node scripts/export-labels.js --dry-run   # Show what would be done
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { config as loadEnv } from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../..');
+const tuningRoot = path.resolve(__dirname, '..');
+
+// Load parent project's .env for Gmail config and STATE_PATH
+loadEnv({ path: path.join(projectRoot, '.env') });
+
+// Import from parent project
+import { createGmailClient } from '../../src/gmail.js';
+import { exportTuningDataset, fetchTrimmedEmail, tuningFolderFor } from '../../src/tuning_export.js';
+
+const parseArgs = () => {
+  const args = {
+    refetch: false,
+    dryRun: false
+  };
+
+  for (const arg of process.argv.slice(2)) {
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--refetch') {
+      args.refetch = true;
+    }
+  }
+
+  return args;
+};
+
+const loadState = () => {
+  const statePath = path.resolve(projectRoot, process.env.STATE_PATH || './data/state.json');
+  if (!fs.existsSync(statePath)) {
+    throw new Error(`State file not found: ${statePath}`);
+  }
+  return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+};
+
+const readCached = (file) => {
+  if (!fs.existsSync(file)) return null;
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return data.trimmed_email ? data : null;
+};
+
+const buildGmailClient = () => {
+  const clientId = process.env.GMAIL_CLIENT_ID;
+  const clientSecret = process.env.GMAIL_CLIENT_SECRET;
+  const refreshToken = process.env.GMAIL_REFRESH_TOKEN;
+
+  if (!clientId || !clientSecret || !refreshToken) {
+    throw new Error('Missing Gmail credentials in .env (GMAIL_CLIENT_ID, GMAIL_CLIENT_SECRET, GMAIL_REFRESH_TOKEN)');
+  }
+
+  return createGmailClient({ clientId, clientSecret, refreshToken });
+};
+
+const main = async () => {
+  const args = parseArgs();
+
+  console.log('='.repeat(70));
+  console.log('EXPORT LABELS: Writing labelled decisions to notified/ and notnotified/');
+  console.log('='.repeat(70));
+
+  if (args.dryRun) {
+    console.log('DRY-RUN MODE: No files will be written\n');
+  }
+
+  const state = loadState();
+  const decisions = state.recent_decisions || [];
+  console.log(`Found ${decisions.length} decisions in recent_decisions`);
+
+  const maxBodyChars = parseInt(process.env.MAX_EMAIL_BODY_CHARS || '4000', 10);
+  const fileFor = (decision) => path.join(tuningRoot, tuningFolderFor(decision), `${decision.id}.json`);
+
+  let gmail;
+  let cachedCount = 0;
+  let fetchedCount = 0;
+  const loadEmail = async (decision) => {
+    const cached = args.refetch ? null : readCached(fileFor(decision));
+    if (cached) {
+      cachedCount++;
+      return cached;
+    }
+    if (args.dryRun) return { trimmed_email: null };
+    gmail = gmail || buildGmailClient();
+    const email = await fetchTrimmedEmail(gmail, decision.id, { maxBodyChars });
+    fetchedCount++;
+    // Small delay to avoid rate limiting
+    await new Promise(resolve => setTimeout(resolve, 100));
+    return email;
+  };
+
+  const { records, skipped } = await exportTuningDataset(decisions, { loadEmail });
+  const counts = { TP: 0, FP: 0, TN: 0, FN: 0 };
+
+  for (const { folder, record } of records) {
+    counts[record.label]++;
+    console.log(`  ${folder}/${record.id}.json (${record.label}) ${record.subject || '(unknown)'}`);
+    if (args.dryRun) continue;
+    fs.mkdirSync(path.join(tuningRoot, folder), { recursive: true });
+    fs.writeFileSync(path.join(tuningRoot, folder, `${record.id}.json`), JSON.stringify(record, null, 2));
+  }
+
+  for (const { id, error } of skipped) {
+    console.log(`  ✗ ${id}: ${error}`);
+  }
+
+  console.log('\n' + '='.repeat(70));
+  console.log('EXPORT SUMMARY');
+  console.log('='.repeat(70));
+  console.log(`Labelled exported:  ${records.length} (TP ${counts.TP}, FP ${counts.FP}, TN ${counts.TN}, FN ${counts.FN})`);
+  console.log(`Email from cache:   ${cachedCount}`);
+  console.log(`Email from Gmail:   ${fetchedCount}`);
+  console.log(`Errors:             ${skipped.length}`);
+  console.log('');
+
+  if (!args.dryRun && records.length > 0) {
+    console.log('Next step: node scripts/evaluate.js');
+  }
+};
+
+main().catch(err => {
+  console.error('\nFatal error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,138 @@
+import fs from 'fs';
+import { cacheByMtime } from './file_cache.js';
+
+export const OVERRIDE_ACTIONS = ['veto', 'notify', 'digest', 'set_urgency'];
+const URGENCIES = ['low', 'normal', 'high'];
+const FACTS = [
+  'notify',
+  'urgency',
+  'confidence',
+  'has_attachments',
+  'attachment_count',
+  'has_urls',
+  'has_ip_based_urls',
+  'has_mismatched_urls',
+  'removed_sections',
+  'trimmed_chars',
+  'original_chars',
+  'sender_analysis'
+];
+
+const sameValue = (expected, actual) =>
+  typeof expected === 'string' && typeof actual === 'string'
+    ? expected.toLowerCase() === actual.toLowerCase()
+    : expected === actual;
+
+const numeric = (compare) => (expected) => (actual) =>
+  actual !== null && actual !== undefined && actual !== '' && Number.isFinite(Number(actual)) && compare(Number(actual), expected);
+
+const OPERATORS = {
+  eq: (expected) => (actual) => sameValue(expected, actual),
+  ne: (expected) => (actual) => !sameValue(expected, actual),
+  lt: numeric((a, e) => a < e),
+  lte: numeric((a, e) => a <= e),
+  gt: numeric((a, e) => a > e),
+  gte: numeric((a, e) => a >= e),
+  in: (expected) => (actual) => [].concat(expected).some((e) => sameValue(e, actual))
+};
+
+const compileCondition = (name, fact, condition) => {
+  const root = fact.split('.')[0];
+  if (!FACTS.includes(root)) throw new Error(`Rule ${name}: unknown fact ${fact}`);
+  // A bare value (or list of values) is an equality test; list facts such as removed_sections match
+  // when they contain any of the values.
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    const allowed = [].concat(condition);
+    return (actual) =>
+      Array.isArray(actual)
+        ? actual.some((a) => allowed.some((e) => sameValue(e, a)))
+        : allowed.some((e) => sameValue(e, actual));
+  }
+  const checks = Object.entries(condition).map(([op, expected]) => {
+    if (op === 'matches') {
+      let pattern;
+      try {
+        pattern = new RegExp(expected, 'i');
+      } catch (err) {
+        throw new Error(`Rule ${name}: invalid ${fact} regex (${err.message})`);
+      }
+      return (actual) => actual !== null && actual !== undefined && pattern.test(String(actual));
+    }
+    if (!OPERATORS[op]) throw new Error(`Rule ${name}: unknown operator ${op} for ${fact}`);
+    return OPERATORS[op](expected);
+  });
+  return (actual) => checks.every((check) => check(actual));
+};
+
+// Rules file shape: { "rules": [ { "name", "when": { <fact>: <condition> }, "then", "urgency" } ] }.
+// Facts are the LLM verdict (notify, urgency, confidence), the decision's feature_flags and
+// sender_analysis.<email|display_name|domain|root_domain>. A condition is a value, a list of values,
+// or { eq, ne, lt, lte, gt, gte, in, matches }. Every condition must hold; the first matching rule
+// wins and applies `then`: veto, notify, digest or set_urgency (with `urgency`).
+export const normalizeDecisionRules = (raw) => {
+  const list = Array.isArray(raw) ? raw : raw?.rules;
+  if (!Array.isArray(list)) throw new Error('Decision rules must be an array or { "rules": [...] }');
+  return list.map((rule, idx) => {
+    const name = rule?.name || `rule_${idx + 1}`;
+    if (!OVERRIDE_ACTIONS.includes(rule?.then)) {
+      throw new Error(`Rule ${name}: then must be one of ${OVERRIDE_ACTIONS.join(', ')}`);
+    }
+    const urgency = String(rule.urgency || '').toLowerCase();
+    if (rule.then === 'set_urgency' && !URGENCIES.includes(urgency)) {
+      throw new Error(`Rule ${name}: set_urgency needs urgency ${URGENCIES.join('|')}`);
+    }
+    const conditions = Object.entries(rule.when || {}).map(([fact, condition]) => ({
+      fact,
+      test: compileCondition(name, fact, condition)
+    }));
+    if (!conditions.length) throw new Error(`Rule ${name}: when needs at least one condition`);
+    return { name, action: rule.then, urgency, conditions };
+  });
+};
+
+const readDecisionRules = cacheByMtime((rulesPath) => normalizeDecisionRules(JSON.parse(fs.readFileSync(rulesPath, 'utf-8'))), {
+  fallback: [],
+  onError: (rulesPath, err) =>
+    console.error(`[RULES] Failed to load decision rules from ${rulesPath}: ${err.message}, using none`)
+});
+
+// Parsed once per version of the file, so calling this for every decision is cheap.
+export const loadDecisionRules = (rulesPath) => (rulesPath ? readDecisionRules(rulesPath) : []);
+
+export const decisionFacts = (decision) => ({
+  notify: !!decision.notify,
+  urgency: String(decision.message_packet?.urgency || 'normal').toLowerCase(),
+  confidence: decision.confidence,
+  ...(decision.feature_flags || {}),
+  sender_analysis: decision.analysis?.sender_analysis || {}
+});
+
+const resolveFact = (facts, fact) => fact.split('.').reduce((value, key) => value?.[key], facts);
+
+export const matchDecisionRule = (rules, decision) => {
+  if (!Array.isArray(rules) || !rules.length) return null;
+  const facts = decisionFacts(decision);
+  return rules.find((rule) => rule.conditions.every(({ fact, test }) => test(resolveFact(facts, fact)))) || null;
+};
+
+// Applies the rule's verdict; `override` keeps the LLM's original verdict next to the final one.
+// A rule that changes nothing leaves the decision untouched.
+export const applyDecisionRule = (rule, decision) => {
+  const packet = decision.message_packet || {};
+  const original = { notify: !!decision.notify, urgency: String(packet.urgency || 'normal').toLowerCase() };
+  const final = { ...original };
+  if (rule.action === 'veto') final.notify = false;
+  if (rule.action === 'notify') final.notify = true;
+  if (rule.action === 'set_urgency') final.urgency = rule.urgency;
+  if (rule.action === 'digest') {
+    if (!original.notify) return decision;
+    final.digest = true;
+  }
+  if (final.notify === original.notify && final.urgency === original.urgency && !final.digest) return decision;
+  return {
+    ...decision,
+    notify: final.notify,
+    message_packet: { ...packet, urgency: final.urgency },
+    override: { rule: rule.name, action: rule.action, original, final }
+  };
+};
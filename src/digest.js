@@ -0,0 +1,36 @@
+import { minutesInTimezone } from './quiet_hours.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+export const parseDigestUrgencies = (value) =>
+  String(value || '')
+    .split(',')
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+
+export const isDigestEnabled = (config) => ['hourly', 'daily'].includes(config.digestSchedule);
+
+export const shouldDigest = (config, urgency) =>
+  isDigestEnabled(config) && parseDigestUrgencies(config.digestUrgencies).includes(String(urgency || 'normal').toLowerCase());
+
+const parseDailyAt = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return 8 * 60;
+  return Math.min(23, Number(match[1])) * 60 + Math.min(59, Number(match[2]));
+};
+
+// Most recent wall-clock occurrence of DIGEST_DAILY_AT (in LOG_TIMEZONE) at or before `now`.
+export const lastDailySlot = (dailyAt, now, timeZone = 'UTC') => {
+  const target = parseDailyAt(dailyAt);
+  const current = minutesInTimezone(now, timeZone);
+  const minutesSince = (current - target + 24 * 60) % (24 * 60);
+  return Math.floor(now / MINUTE_MS) * MINUTE_MS - minutesSince * MINUTE_MS;
+};
+
+// `since` is the last digest send, or the oldest pending item when none was sent yet.
+export const isDigestDue = (config, since, now = Date.now()) => {
+  if (!isDigestEnabled(config) || !since) return false;
+  if (config.digestSchedule === 'hourly') return now - since >= HOUR_MS;
+  return lastDailySlot(config.digestDailyAt, now, config.logTimezone || 'UTC') > since;
+};
@@ -0,0 +1,58 @@
+const parseList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+// ENSEMBLE_MODELS entries are "model" or "model@baseUrl" (base URL defaults to LLM_BASE_URL).
+// Without it, ENSEMBLE_SAMPLES > 1 asks the primary model that many times at LLM_TEMPERATURE.
+// ENSEMBLE_WEIGHTS and ENSEMBLE_PROVIDERS line up with the members; missing weights are 1, and a
+// member without a provider uses LLM_PROVIDER on LLM_BASE_URL and `openai` on its own server.
+export const ensembleMembers = (config) => {
+  const weights = parseList(config.ensembleWeights).map(Number);
+  // Empty entries are kept so ",,ollama" only sets the third member.
+  const providers = String(config.ensembleProviders || '').split(',').map((p) => p.trim().toLowerCase());
+  const endpoint = (model, baseUrl) => ({
+    model,
+    baseUrl: baseUrl || config.llmBaseUrl,
+    apiKey: config.llmApiKey,
+    timeoutMs: config.llmTimeoutMs,
+    provider: baseUrl ? 'openai' : config.llmProvider || 'openai'
+  });
+  const models = parseList(config.ensembleModels);
+  const members = models.length
+    ? models.map((entry) => {
+        const at = entry.indexOf('@');
+        return at === -1 ? endpoint(entry) : endpoint(entry.slice(0, at), entry.slice(at + 1));
+      })
+    : config.ensembleSamples > 1
+      ? Array.from({ length: config.ensembleSamples }, () => endpoint(config.llmModel))
+      : [];
+  return members.map((member, idx) => ({
+    ...member,
+    provider: providers[idx] || member.provider,
+    weight: Number.isFinite(weights[idx]) && weights[idx] > 0 ? weights[idx] : 1
+  }));
+};
+
+const voteConfidence = (confidence) => {
+  const value = Number(confidence);
+  return Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : 0.5;
+};
+
+// votes: [{ notify, confidence, weight }] from the members that answered. `majority` counts one
+// vote each; `weighted` counts weight x confidence. A tie keeps the first member's verdict.
+// `agreement` is the winning side's share of the total (1 = unanimous).
+export const combineVotes = (votes, mode = 'majority') => {
+  const score = (v) => (mode === 'weighted' ? v.weight * voteConfidence(v.confidence) : 1);
+  const yes = votes.filter((v) => v.notify).reduce((sum, v) => sum + score(v), 0);
+  const no = votes.filter((v) => !v.notify).reduce((sum, v) => sum + score(v), 0);
+  const notify = yes === no ? votes[0].notify : yes > no;
+  const total = yes + no;
+  const agreement = total > 0 ? Math.round(((notify ? yes : no) / total) * 100) / 100 : 0;
+  // The most confident member on the winning side supplies the packet and reason.
+  const representative = votes
+    .filter((v) => v.notify === notify)
+    .reduce((best, v) => (voteConfidence(v.confidence) > voteConfidence(best.confidence) ? v : best));
+  return { notify, agreement, representative };
+};
@@ -0,0 +1,31 @@
+import fs from 'fs';
+
+const fileVersion = (filePath) => {
+  try {
+    const { mtimeMs, size } = fs.statSync(filePath);
+    return `${mtimeMs}:${size}`;
+  } catch (err) {
+    return 'missing';
+  }
+};
+
+// Wraps a synchronous `load(filePath)` so it only runs again once the file's mtime (or size)
+// changes. When `load` throws, `onError` is called once for that version of the file and
+// `fallback` is returned until the file is edited.
+export const cacheByMtime = (load, { fallback, onError }) => {
+  const entries = new Map();
+  return (filePath) => {
+    const version = fileVersion(filePath);
+    const cached = entries.get(filePath);
+    if (cached && cached.version === version) return cached.value;
+    let value;
+    try {
+      value = load(filePath);
+    } catch (err) {
+      onError(filePath, err);
+      value = fallback;
+    }
+    entries.set(filePath, { version, value });
+    return value;
+  };
+};
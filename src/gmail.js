@@ -49,6 +49,12 @@ export const parseRawEmail = async (rawData) => {
     size: att.size
   }));
   const bodyText = fallbackText(parsed);
+  // Raw header values keyed by lowercase name (repeated headers joined by newlines), for sender rules.
+  const headers = {};
+  for (const { key, line } of parsed.headerLines || []) {
+    const value = line.slice(line.indexOf(':') + 1).trim();
+    headers[key] = headers[key] ? `${headers[key]}\n${value}` : value;
+  }
   return {
     id: rawData.id,
     threadId: rawData.threadId,
@@ -58,7 +64,8 @@ export const parseRawEmail = async (rawData) => {
     subject: parsed.subject || '',
     date: parsed.date ? parsed.date.toISOString() : '',
     body_text: bodyText,
-    attachments
+    attachments,
+    headers
   };
 };
 
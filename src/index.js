@@ -9,10 +9,20 @@ import axios from 'axios';
 
 import { google } from 'googleapis';
 import { createGmailClient, listMessages, fetchRawMessage, parseRawEmail, gmailLinkFor } from './gmail.js';
-import { callLLM, healthCheckLLM } from './llm.js';
+import { callLLM, healthCheckLLM, isTransientLLMError } from './llm.js';
 import { trimEmailForLLM } from './email_trim.js';
-import { createTwilioClient, sendSms, checkTwilioCredentials } from './twilio.js';
-import { sendPushover, checkPushoverCredentials } from './pushover.js';
+import { createTwilioClient, isValidTwilioSignature, buildTwimlReply } from './twilio.js';
+import { fetchPushoverReceipt } from './pushover.js';
+import { createNotifier } from './notifiers.js';
+import { loadRoutes, resolveRoute } from './routing.js';
+import { isQuietFor, validateQuietHours } from './quiet_hours.js';
+import { isDigestDue, isDigestEnabled, shouldDigest } from './digest.js';
+import { exceededCap, senderKey } from './rate_limit.js';
+import { parseSmsCommand, parseDuration, muteTargetFor, isSenderMuted, SMS_COMMAND_HELP } from './sms_commands.js';
+import { exportTuningDataset, fetchTrimmedEmail } from './tuning_export.js';
+import { loadSenderRules, matchSenderRule, isForcedRule, readSenderRulesFile, saveSenderRules } from './sender_rules.js';
+import { loadDecisionRules, matchDecisionRule, applyDecisionRule } from './decision_rules.js';
+import { ensembleMembers, combineVotes } from './ensemble.js';
 import { createStateManager } from './state.js';
 import { createGpuMonitor, isGpuAvailable } from './gpu.js';
 
@@ -75,17 +85,62 @@ export const buildConfig = (env = process.env) => ({
   maxSmsChars: parseInt(env.MAX_SMS_CHARS || '900', 10),
   maxLlmConcurrency: parseInt(env.MAX_LLM_CONCURRENCY || env.MAX_CONCURRENCY || '3', 10),
   maxLlmQueue: parseInt(env.MAX_LLM_QUEUE || '20', 10),
+  llmBreakerFailures: parseInt(env.LLM_BREAKER_FAILURES || '3', 10),
+  llmRetryMaxAttempts: parseInt(env.LLM_RETRY_MAX_ATTEMPTS || '5', 10),
+  llmRetryProbeMs: parseInt(env.LLM_RETRY_PROBE_MS || '30000', 10),
+  llmRetryBackoffMs: parseInt(env.LLM_RETRY_BACKOFF_MS || '60000', 10),
+  llmProvider: (env.LLM_PROVIDER || 'openai').toLowerCase(),
   llmBaseUrl: env.LLM_BASE_URL || 'http://127.0.0.1:8080',
   llmModel: env.LLM_MODEL || 'local-model',
   llmTemperature: parseFloat(env.LLM_TEMPERATURE || '0.2'),
   llmMaxOutputTokens: parseInt(env.LLM_MAX_OUTPUT_TOKENS || '300', 10),
   llmTimeoutMs: parseInt(env.LLM_TIMEOUT_MS || '120000', 10),
+  llmRepairAttempts: parseInt(env.LLM_REPAIR_ATTEMPTS || '1', 10),
+  llmStructuredOutput: (env.LLM_STRUCTURED_OUTPUT || 'auto').toLowerCase(),
+  ollamaKeepAlive: env.OLLAMA_KEEP_ALIVE || '',
+  secondOpinionModel: env.SECOND_OPINION_MODEL || '',
+  secondOpinionBaseUrl: env.SECOND_OPINION_BASE_URL || '',
+  secondOpinionProvider: (env.SECOND_OPINION_PROVIDER || '').toLowerCase(),
+  secondOpinionTimeoutMs: parseInt(env.SECOND_OPINION_TIMEOUT_MS || '0', 10),
+  secondOpinionMinConfidence: parseFloat(env.SECOND_OPINION_MIN_CONFIDENCE || '0.4'),
+  secondOpinionMaxConfidence: parseFloat(env.SECOND_OPINION_MAX_CONFIDENCE || '0.7'),
+  secondOpinionOnUrlFlags: (env.SECOND_OPINION_ON_URL_FLAGS || 'true').toLowerCase() === 'true',
+  ensembleModels: env.ENSEMBLE_MODELS || '',
+  ensembleSamples: parseInt(env.ENSEMBLE_SAMPLES || '1', 10),
+  ensembleWeights: env.ENSEMBLE_WEIGHTS || '',
+  ensembleProviders: env.ENSEMBLE_PROVIDERS || '',
+  ensembleVote: (env.ENSEMBLE_VOTE || 'majority').toLowerCase(),
   systemPromptPath: env.SYSTEM_PROMPT_PATH || './data/system_prompt.txt',
   maxEmailBodyChars: parseInt(env.MAX_EMAIL_BODY_CHARS || '4000', 10),
   dryRun: (env.DRY_RUN || 'false').toLowerCase() === 'true',
   notificationService: (env.NOTIFICATION_SERVICE || 'twilio').toLowerCase(),
+  notificationRoutesPath: env.NOTIFICATION_ROUTES_PATH || '',
+  senderRulesPath: env.SENDER_RULES_PATH || './data/sender_rules.json',
+  decisionRulesPath: env.DECISION_RULES_PATH || '',
+  quietHours: env.QUIET_HOURS || '',
+  quietHoursByUrgency: {
+    low: env.QUIET_HOURS_LOW || '',
+    normal: env.QUIET_HOURS_NORMAL || '',
+    high: env.QUIET_HOURS_HIGH || ''
+  },
+  threadCooldownMs: parseInt(env.THREAD_COOLDOWN_MS || String(30 * 60 * 1000), 10),
+  threadCooldownMode: (env.THREAD_COOLDOWN_MODE || 'merge').toLowerCase(),
+  notifyMaxPerHour: parseInt(env.NOTIFY_MAX_PER_HOUR || '30', 10),
+  notifyMaxPerDay: parseInt(env.NOTIFY_MAX_PER_DAY || '200', 10),
+  notifyMaxPerSenderPerHour: parseInt(env.NOTIFY_MAX_PER_SENDER_PER_HOUR || '5', 10),
+  notifyRetryMaxAttempts: Math.max(1, parseInt(env.NOTIFY_RETRY_MAX_ATTEMPTS || '5', 10)),
+  notifyRetryBackoffMs: parseInt(env.NOTIFY_RETRY_BACKOFF_MS || '60000', 10),
+  reviewNotifyConfidence: parseFloat(env.REVIEW_NOTIFY_CONFIDENCE || '0'),
+  reviewRefusalConfidence: parseFloat(env.REVIEW_REFUSAL_CONFIDENCE || '0'),
+  webhookUrls: env.WEBHOOK_URLS || '',
+  webhookSecret: env.WEBHOOK_SECRET || '',
+  webhookTimeoutMs: parseInt(env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+  digestSchedule: (env.DIGEST_SCHEDULE || 'off').toLowerCase(),
+  digestUrgencies: env.DIGEST_URGENCIES || 'low',
+  digestDailyAt: env.DIGEST_DAILY_AT || '08:00',
   logDashboardRequests: (env.LOG_DASHBOARD_REQUESTS || 'false').toLowerCase() === 'true',
   llmApiKey: env.LLM_API_KEY || '',
+  secondOpinionApiKey: env.SECOND_OPINION_API_KEY || '',
   anthropicApiKey: env.ANTHROPIC_API_KEY || '',
   anthropicModelOpus: env.ANTHROPIC_MODEL_OPUS || 'claude-3-opus-20240229',
   anthropicModelSonnet: env.ANTHROPIC_MODEL_SONNET || 'claude-3-5-sonnet-20241022',
@@ -103,9 +158,21 @@ export const buildConfig = (env = process.env) => ({
   twilioAuthToken: env.TWILIO_AUTH_TOKEN,
   twilioFrom: env.TWILIO_FROM,
   twilioTo: env.TWILIO_TO,
+  twilioWebhookUrl: env.TWILIO_WEBHOOK_URL || '',
   pushoverToken: env.PUSHOVER_TOKEN || env.PUSHOVER_API_TOKEN,
   pushoverUser: env.PUSHOVER_USER,
   pushoverDevice: env.PUSHOVER_DEVICE,
+  pushoverApiUrl: env.PUSHOVER_API_URL || 'https://api.pushover.net',
+  pushoverReceiptPollMs: parseInt(env.PUSHOVER_RECEIPT_POLL_MS || '60000', 10),
+  ntfyUrl: env.NTFY_URL || '',
+  ntfyToken: env.NTFY_TOKEN || '',
+  smtpHost: env.SMTP_HOST || '',
+  smtpPort: parseInt(env.SMTP_PORT || '587', 10),
+  smtpSecure: (env.SMTP_SECURE || 'false').toLowerCase() === 'true',
+  smtpUser: env.SMTP_USER || '',
+  smtpPass: env.SMTP_PASS || '',
+  smtpFrom: env.SMTP_FROM || '',
+  smtpTo: env.SMTP_TO || '',
   logTimezone: env.LOG_TIMEZONE || 'UTC',
   // GPU monitoring
   gpuEnabled: env.GPU_ENABLED !== 'false',
@@ -164,24 +231,26 @@ const recordGmailSummary = (ctx, { ok, newMail = 0 }) => {
 const createLlmQueue = ({ maxConcurrency, maxQueue, processFn, onDrop, onStats }) => {
   const pending = [];
   const pendingIds = new Set();
-  const runningIds = new Set();
+  const runningTasks = new Map();
   let droppedTotal = 0;
   let lastDroppedAt = 0;
+  let paused = false;
   const idleResolvers = [];
 
-  const depth = () => pending.length + runningIds.size;
+  const depth = () => pending.length + runningTasks.size;
   const publishStats = () =>
     onStats?.({
       depth: depth(),
       pending: pending.length,
-      running: runningIds.size,
+      running: runningTasks.size,
       dropped_total: droppedTotal,
       last_dropped_at: lastDroppedAt,
-      max_queue: maxQueue
+      max_queue: maxQueue,
+      paused
     });
 
   const notifyIdle = () => {
-    if (pending.length === 0 && runningIds.size === 0) {
+    if (pending.length === 0 && runningTasks.size === 0) {
       while (idleResolvers.length) {
         const resolve = idleResolvers.shift();
         resolve();
@@ -211,17 +280,17 @@ const createLlmQueue = ({ maxConcurrency, maxQueue, processFn, onDrop, onStats }
   const pump = () => {
     publishStats();
     notifyIdle();
-    while (runningIds.size < maxConcurrency && pending.length) {
+    while (!paused && runningTasks.size < maxConcurrency && pending.length) {
       const task = pending.shift();
       if (task.id) pendingIds.delete(task.id);
       const key = task.id || Symbol('llm-task');
-      runningIds.add(key);
+      runningTasks.set(key, task);
       publishStats();
       Promise.resolve()
         .then(() => processFn(task))
         .catch((err) => logEvent('TASK', { event: 'error', error: err.message }))
         .finally(() => {
-          runningIds.delete(key);
+          runningTasks.delete(key);
           publishStats();
           notifyIdle();
           pump();
@@ -229,11 +298,13 @@ const createLlmQueue = ({ maxConcurrency, maxQueue, processFn, onDrop, onStats }
     }
   };
 
+  // Tasks restored after a restart keep their original enqueued_at.
   const enqueue = (task) => {
     const id = task.id;
-    if (id && (pendingIds.has(id) || runningIds.has(id))) {
+    if (id && (pendingIds.has(id) || runningTasks.has(id))) {
       return { enqueued: false, reason: 'duplicate' };
     }
+    task.enqueued_at ||= Date.now();
     pending.push(task);
     if (id) pendingIds.add(id);
     enforceCapacity();
@@ -241,18 +312,40 @@ const createLlmQueue = ({ maxConcurrency, maxQueue, processFn, onDrop, onStats }
     return { enqueued: true };
   };
 
+  // Pausing hands back the tasks that had not started yet; running ones finish normally.
+  const pause = () => {
+    paused = true;
+    const removed = pending.splice(0);
+    pendingIds.clear();
+    publishStats();
+    notifyIdle();
+    return removed;
+  };
+
+  const resume = () => {
+    paused = false;
+    pump();
+  };
+
   return {
     enqueue,
+    pause,
+    resume,
+    isPaused: () => paused,
+    // Running tasks first, then waiting ones in order: what a restart must pick up again.
+    tasks: () => [...runningTasks.values(), ...pending],
+    has: (id) => pendingIds.has(id) || runningTasks.has(id),
     stats: () => ({
       depth: depth(),
       pending: pending.length,
-      running: runningIds.size,
+      running: runningTasks.size,
       dropped_total: droppedTotal,
       last_dropped_at: lastDroppedAt,
-      max_queue: maxQueue
+      max_queue: maxQueue,
+      paused
     }),
     whenIdle: () => {
-      if (pending.length === 0 && runningIds.size === 0) return Promise.resolve();
+      if (pending.length === 0 && runningTasks.size === 0) return Promise.resolve();
       return new Promise((resolve) => idleResolvers.push(resolve));
     }
   };
@@ -333,81 +426,772 @@ const computeRecentTps = (decisions, limit = 5) => {
   return { avg_tps: Math.round(avg * 100) / 100, samples: samples.length };
 };
 
-const processSingleMessage = async (ctx, messageMeta) => {
+const unrecognizedServiceError = (service) => `Notification service not recognized: ${service}`;
+
+const parseNotificationServices = (value) =>
+  Array.from(
+    new Set(
+      String(value || '')
+        .split(',')
+        .map((v) => v.trim().toLowerCase())
+        .filter(Boolean)
+    )
+  );
+
+// Never rejects so one failing channel cannot block the others during fan-out.
+const sendViaChannel = async (ctx, { name, notifier }, payload) => {
+  if (!notifier) return { ok: false, error: unrecognizedServiceError(name) };
+  try {
+    const sendResult = await notifier.send(payload);
+    ctx.stateManager.setNotifierOk(name);
+    return { ok: true, sendResult };
+  } catch (err) {
+    ctx.stateManager.setNotifierError(name, err.message);
+    return { ok: false, error: err.message, retryOptions: err.retryOptions, retryable: err.retryable !== false };
+  }
+};
+
+const channelSendFields = (channel, res) =>
+  res.ok
+    ? {
+        ...res.sendResult.fields,
+        notification_provider: channel.name,
+        notification_id: res.sendResult.id,
+        status: 'sent'
+      }
+    : {
+        notification_provider: channel.name,
+        notification_id: '',
+        status: 'failed',
+        error: res.error
+      };
+
+const resolveDecisionTargets = (ctx, decision, urgency) => {
+  const routes = loadRoutes(ctx.config.notificationRoutesPath);
+  const route = resolveRoute(routes, { urgency, from: decision.from, subject: decision.subject });
+  if (!route) {
+    return { route: null, targets: ctx.notificationChannels.map((channel) => ({ channel, options: {} })) };
+  }
+  const targets = [];
+  route.channels.forEach(({ name, options }) => {
+    const channel = ctx.notificationChannels.find((c) => c.name === name);
+    if (channel) {
+      targets.push({ channel, options });
+    } else {
+      logEvent('NOTIFY', { route: route.name, channel: name, send: 'skip', reason: 'channel_not_configured' });
+    }
+  });
+  return { route, targets };
+};
+
+// Enough of the decision to send it later (review approval, notification retries and dead-letter
+// resends), even after it has aged out of recent_decisions. Leaves out the bulky analysis fields.
+const decisionSnapshot = (decision) => ({
+  id: decision.id,
+  notify: decision.notify,
+  message_packet: decision.message_packet,
+  confidence: decision.confidence,
+  reason: decision.reason,
+  tokens: decision.tokens,
+  gmail_link: decision.gmail_link,
+  thread_id: decision.thread_id,
+  from: decision.from,
+  subject: decision.subject
+});
+
+const digestItemFor = (decision, packet, message) => ({
+  decision_id: decision.id,
+  title: packet.title || 'New mail',
+  urgency: packet.urgency || 'normal',
+  from: decision.from,
+  subject: decision.subject,
+  reason: decision.reason,
+  gmail_link: decision.gmail_link,
+  sms_preview: message
+});
+
+const formatDigest = (ctx, title, items) => {
+  const lines = items.map((i) => `- [${i.urgency}] ${i.title}${i.gmail_link ? ` ${i.gmail_link}` : ''}`);
+  return `${title}\n${lines.join('\n')}`.slice(0, ctx.config.maxSmsChars);
+};
+
+// Sends one summary covering several decisions to every channel. Resolves true when at
+// least one channel accepted it so callers can keep the items for a later retry otherwise.
+const sendDigestNotification = async (ctx, { title, items, reason, fields = {} }) => {
+  const message = formatDigest(ctx, title, items);
+  const digestItems = items.map(({ decision_id, title: itemTitle, urgency, from, subject, gmail_link }) => ({
+    decision_id,
+    title: itemTitle,
+    urgency,
+    from,
+    subject,
+    gmail_link
+  }));
+  const results = await Promise.all(
+    ctx.notificationChannels.map(async (channel) => {
+      const res = await sendViaChannel(ctx, channel, {
+        title,
+        message,
+        urgency: 'normal',
+        kind: 'digest',
+        items: digestItems
+      });
+      logEvent('DIGEST', {
+        send: res.ok ? 'ok' : 'fail',
+        provider: channel.name,
+        reason,
+        items: items.length,
+        ...(res.ok ? res.sendResult.logFields : { error: res.error })
+      });
+      ctx.stateManager.addSend({
+        sent_at: Date.now(),
+        subject: title,
+        urgency: 'normal',
+        reason,
+        ...channelSendFields(channel, res),
+        sms_preview: message,
+        digest_items: digestItems,
+        ...fields
+      });
+      return res;
+    })
+  );
+  return results.some((r) => r.ok);
+};
+
+// Quiet hours and an SMS "SNOOZE" both hold notifications in the deferred queue. Resolves to
+// what is holding them ('snooze' or 'quiet_hours'), or null when notifications may go out.
+const heldReasonFor = (ctx, urgency) => {
+  if (Date.now() < (ctx.stateManager.getState().snooze_until || 0)) return 'snooze';
+  return isQuietFor(ctx.config, urgency) ? 'quiet_hours' : null;
+};
+
+const isHeldFor = (ctx, urgency) => heldReasonFor(ctx, urgency) !== null;
+
+const HELD_TITLES = { quiet_hours: 'Quiet hours ended', snooze: 'Snooze ended' };
+
+const flushDeferredNotifications = async (ctx) => {
+  const due = ctx.stateManager.takeDeferred((item) => !isHeldFor(ctx, item.urgency));
+  if (!due.length) return;
+  // Items deferred before held_by was recorded were all held by quiet hours.
+  const reasons = new Set(due.map((item) => item.held_by || 'quiet_hours'));
+  const count = `${due.length} held notification${due.length === 1 ? '' : 's'}`;
+  const title = reasons.size === 1 ? `${HELD_TITLES[[...reasons][0]]}: ${count}` : `Holds ended: ${count}`;
+  const delivered = await sendDigestNotification(ctx, { title, items: due, reason: 'quiet_hours_digest' });
+  if (!delivered) due.forEach((item) => ctx.stateManager.addDeferred(item));
+  await ctx.stateManager.save();
+};
+
+const flushDigest = async (ctx) => {
+  const { pending, last_sent_at: lastSentAt } = ctx.stateManager.getState().digest;
+  if (!pending.length) return;
+  const oldest = Math.min(...pending.map((item) => item.queued_at || Date.now()));
+  if (!isDigestDue(ctx.config, Math.max(lastSentAt || 0, oldest))) return;
+  if (pending.some((item) => isHeldFor(ctx, item.urgency))) return;
+
+  const items = ctx.stateManager.takeDigestItems();
+  const title = `${ctx.config.digestSchedule === 'daily' ? 'Daily' : 'Hourly'} digest: ${items.length} email${
+    items.length === 1 ? '' : 's'
+  }`;
+  const delivered = await sendDigestNotification(ctx, { title, items, reason: 'scheduled_digest' });
+  if (delivered) {
+    ctx.stateManager.markDigestSent();
+  } else {
+    items.forEach((item) => ctx.stateManager.addDigestItem(item));
+  }
+  await ctx.stateManager.save();
+};
+
+// High urgency and "always notify" sender rules are what caps must never swallow (the on-call
+// pager case); they still count towards the caps for everything else.
+const isCapExempt = (decision, urgency) => urgency === 'high' || decision.rule?.action === 'notify';
+
+// Suppressed notifications collapse into one summary once every cap that held them back has room again.
+const flushSuppressed = async (ctx) => {
+  const { events, suppressed } = ctx.stateManager.getState().rate_limit;
+  if (!suppressed.length) return;
+  if (suppressed.some((item) => exceededCap(ctx.config, events, senderKey(item.from)))) return;
+  if (exceededCap(ctx.config, events, null)) return;
+  if (suppressed.some((item) => isHeldFor(ctx, item.urgency))) return;
+
+  const items = ctx.stateManager.takeSuppressed();
+  const title = `${items.length} more notification${items.length === 1 ? '' : 's'} suppressed (rate limit)`;
+  const delivered = await sendDigestNotification(ctx, { title, items, reason: 'rate_limit_summary' });
+  if (delivered) {
+    ctx.stateManager.recordRateEvent(null);
+  } else {
+    ctx.stateManager.restoreSuppressed(items);
+  }
+  await ctx.stateManager.save();
+};
+
+// Replies in a thread that notified within THREAD_COOLDOWN_MS are either dropped (suppress) or
+// held and sent as one "update on thread" summary once the cooldown ends (merge). Checked last,
+// so replies that mutes, digests, quiet hours, routing or caps hold back never reach a thread.
+// High-urgency and rule-forced replies are sent at once, as they are exempt from the caps.
+const applyThreadCooldown = (ctx, { decision, packet, message }) => {
+  const threadId = decision.thread_id;
+  if (!threadId || ctx.config.threadCooldownMs <= 0) return false;
+  if (isCapExempt(decision, packet.urgency || 'normal')) return false;
+  const thread = ctx.stateManager.getThread(threadId);
+  if (!thread) return false;
+  // Held replies not flushed yet keep the thread merging so nothing pending is overwritten.
+  const cooling = Date.now() - thread.notified_at < ctx.config.threadCooldownMs;
+  if (!cooling && !thread.pending.length) return false;
+  const urgency = packet.urgency || 'normal';
+  if (ctx.config.threadCooldownMode === 'suppress') {
+    ctx.stateManager.addSend({
+      sent_at: Date.now(),
+      decision_id: decision.id,
+      from: decision.from,
+      subject: decision.subject,
+      urgency,
+      tokens_for_email: tokenCountFromDecision(decision),
+      reason: decision.reason,
+      notification_provider: '',
+      notification_id: '',
+      status: 'suppressed',
+      suppressed_by: 'thread_cooldown',
+      thread_id: threadId,
+      sms_preview: message,
+      gmail_link: decision.gmail_link
+    });
+  } else {
+    ctx.stateManager.addThreadUpdate(threadId, { ...digestItemFor(decision, packet, message), queued_at: Date.now() });
+  }
+  logEvent('THREAD', { event: ctx.config.threadCooldownMode, thread: threadId, from: decision.from, subject: decision.subject });
+  return true;
+};
+
+const flushThreadUpdates = async (ctx) => {
+  if (ctx.config.threadCooldownMs <= 0) return;
+  const now = Date.now();
+  const { threads } = ctx.stateManager.getState();
+  for (const [threadId, thread] of Object.entries(threads)) {
+    if (!thread.pending.length || now - thread.notified_at < ctx.config.threadCooldownMs) continue;
+    if (thread.pending.some((item) => isHeldFor(ctx, item.urgency))) continue;
+    // A copy: replies merged while the send is in flight wait for the next update.
+    const items = [...thread.pending];
+    const title = `Update on thread "${thread.subject || threadId}": ${items.length} new message${items.length === 1 ? '' : 's'}`;
+    const delivered = await sendDigestNotification(ctx, {
+      title,
+      items,
+      reason: 'thread_update',
+      fields: { thread_id: threadId }
+    });
+    if (delivered) {
+      ctx.stateManager.removeThreadUpdates(threadId, items);
+      // Restarting the cooldown keeps a still-busy thread to one update per window.
+      ctx.stateManager.markThreadNotified(threadId, thread.subject);
+      ctx.stateManager.recordRateEvent(null);
+    }
+  }
+  ctx.stateManager.pruneThreads(ctx.config.threadCooldownMs);
+  await ctx.stateManager.save();
+};
+
+const sendDecisionNotification = async (ctx, { decision, packet, message }) => {
+  const urgency = packet.urgency || 'normal';
+  if (isSenderMuted(ctx.stateManager.getState().muted_senders, decision.from)) {
+    ctx.stateManager.addSend({
+      sent_at: Date.now(),
+      decision_id: decision.id,
+      from: decision.from,
+      subject: decision.subject,
+      urgency,
+      tokens_for_email: tokenCountFromDecision(decision),
+      reason: decision.reason,
+      notification_provider: '',
+      notification_id: '',
+      status: 'suppressed',
+      suppressed_by: 'muted_sender',
+      thread_id: decision.thread_id,
+      sms_preview: message,
+      gmail_link: decision.gmail_link
+    });
+    logEvent('NOTIFY', { send: 'skip', reason: 'muted_sender', from: decision.from, subject: decision.subject });
+    return;
+  }
+  // A digest override only holds while digests are enabled; otherwise the decision is sent as usual.
+  const digest = decision.override?.final.digest ? isDigestEnabled(ctx.config) : shouldDigest(ctx.config, urgency);
+  if (digest) {
+    ctx.stateManager.addDigestItem({ ...digestItemFor(decision, packet, message), queued_at: Date.now() });
+    logEvent('DIGEST', { event: 'queue', from: decision.from, subject: decision.subject, urgency });
+    return;
+  }
+  const heldBy = heldReasonFor(ctx, urgency);
+  if (heldBy) {
+    ctx.stateManager.addDeferred({ ...digestItemFor(decision, packet, message), deferred_at: Date.now(), held_by: heldBy });
+    logEvent('QUIET_HOURS', { event: 'defer', held_by: heldBy, from: decision.from, subject: decision.subject, urgency });
+    return;
+  }
+  const { route, targets } = resolveDecisionTargets(ctx, decision, urgency);
+  if (route && !targets.length) {
+    logEvent('NOTIFY', { route: route.name, send: 'skip', reason: 'no_channels', subject: decision.subject });
+    return;
+  }
+  const sender = senderKey(decision.from);
+  const cap = isCapExempt(decision, urgency) ? null : exceededCap(ctx.config, ctx.stateManager.getState().rate_limit.events, sender);
+  if (cap) {
+    ctx.stateManager.addSuppressed({ ...digestItemFor(decision, packet, message), cap, suppressed_at: Date.now() });
+    logEvent('RATE_LIMIT', { event: 'suppress', cap, from: decision.from, subject: decision.subject, urgency });
+    return;
+  }
+  if (applyThreadCooldown(ctx, { decision, packet, message })) return;
+  await fanOutDecision(ctx, { decision, packet, message, urgency, route, targets });
+};
+
+const fanOutDecision = async (ctx, { decision, packet, message, urgency, route, targets }) => {
+  ctx.stateManager.recordRateEvent(senderKey(decision.from));
+  if (decision.thread_id) ctx.stateManager.markThreadNotified(decision.thread_id, decision.subject);
+  await Promise.all(
+    targets.map(async ({ channel, options }) => {
+      const delivery = {
+        id: `${decision.id}:${channel.name}:${Date.now()}`,
+        channel: channel.name,
+        payload: { title: packet.title || 'New mail', message, urgency, kind: 'decision', options },
+        decision: decisionSnapshot(decision),
+        route: route?.name,
+        attempts: 0,
+        created_at: Date.now()
+      };
+      const res = await deliverDecision(ctx, channel, delivery);
+      // An unrecognized service name can never succeed, so only real channels are retried.
+      if (!res.ok && channel.notifier) scheduleRetry(ctx, delivery, res);
+    })
+  );
+};
+
+// One attempt at sending a decision notification (first send, queued retry or manual resend).
+// Failed retries are not added to recent_sends; they stay visible in the retry queue instead.
+const deliverDecision = async (ctx, channel, delivery) => {
+  const { decision, payload, route } = delivery;
+  const attempt = delivery.attempts + 1;
+  const res = await sendViaChannel(ctx, channel, { ...payload, decision, attempt });
+  const { notifier } = channel;
+  logEvent(notifier?.tag || 'NOTIFY', {
+    send: res.ok ? 'ok' : 'fail',
+    ...(notifier ? notifier.target() : { provider: channel.name }),
+    from: decision.from,
+    subject: decision.subject,
+    urgency: payload.urgency,
+    route,
+    attempt: attempt > 1 ? attempt : undefined,
+    ...(res.ok ? res.sendResult.logFields : { error: res.error })
+  });
+  if (res.ok || attempt === 1) {
+    ctx.stateManager.addSend({
+      sent_at: Date.now(),
+      decision_id: decision.id,
+      from: decision.from,
+      subject: decision.subject,
+      urgency: payload.urgency,
+      tokens_for_email: tokenCountFromDecision(decision),
+      reason: decision.reason,
+      ...channelSendFields(channel, res),
+      route,
+      attempt: attempt > 1 ? attempt : undefined,
+      thread_id: decision.thread_id,
+      sms_preview: payload.message,
+      gmail_link: decision.gmail_link
+    });
+  }
+  return res;
+};
+
+// A partly delivered notification only resends what failed (the notifier's `retryOptions`).
+const narrowDelivery = (delivery, { retryOptions }) =>
+  retryOptions
+    ? { ...delivery, payload: { ...delivery.payload, options: { ...delivery.payload.options, ...retryOptions } } }
+    : delivery;
+
+// Backoff doubles per attempt: NOTIFY_RETRY_BACKOFF_MS, 2x, 4x, ... until NOTIFY_RETRY_MAX_ATTEMPTS.
+// Failures the notifier marks as not retryable are dead-lettered at once.
+const scheduleRetry = (ctx, delivery, res) => {
+  const { error } = res;
+  const attempts = delivery.attempts + 1;
+  const now = Date.now();
+  const entry = { ...narrowDelivery(delivery, res), attempts, last_error: error, last_attempt_at: now };
+  if (!res.retryable || attempts >= ctx.config.notifyRetryMaxAttempts) {
+    ctx.stateManager.addDeadLetter({ ...entry, dead_at: now });
+    logEvent('RETRY', { event: 'dead_letter', id: entry.id, provider: entry.channel, attempts, error });
+    return;
+  }
+  const nextAttemptAt = now + ctx.config.notifyRetryBackoffMs * 2 ** (attempts - 1);
+  ctx.stateManager.addRetry({ ...entry, next_attempt_at: nextAttemptAt });
+  logEvent('RETRY', { event: 'scheduled', id: entry.id, provider: entry.channel, attempts, next_attempt_at: nextAttemptAt });
+};
+
+const channelForDelivery = (ctx, delivery) => ctx.notificationChannels.find((c) => c.name === delivery.channel);
+
+const processNotificationRetries = async (ctx) => {
+  const now = Date.now();
+  const due = ctx.stateManager.takeRetries((entry) => entry.next_attempt_at <= now);
+  if (!due.length) return;
+  for (const { next_attempt_at: _next, ...delivery } of due) {
+    const channel = channelForDelivery(ctx, delivery);
+    if (!channel) {
+      // The channel was removed from NOTIFICATION_SERVICE since the first attempt.
+      const error = `Channel ${delivery.channel} is no longer configured`;
+      ctx.stateManager.addDeadLetter({ ...delivery, last_error: error, dead_at: now });
+      logEvent('RETRY', { event: 'dead_letter', id: delivery.id, provider: delivery.channel, error });
+      continue;
+    }
+    const res = await deliverDecision(ctx, channel, delivery);
+    if (!res.ok) scheduleRetry(ctx, delivery, res);
+  }
+  await ctx.stateManager.save();
+};
+
+// Manual resend from the dashboard: one immediate attempt; the entry stays dead-lettered on failure.
+const resendDeadLetter = async (ctx, id) => {
+  const delivery = ctx.stateManager.takeDeadLetter(id);
+  if (!delivery) return null;
+  const channel = channelForDelivery(ctx, delivery);
+  const res = channel
+    ? await deliverDecision(ctx, channel, delivery)
+    : { ok: false, error: `Channel ${delivery.channel} is no longer configured` };
+  if (!res.ok) {
+    ctx.stateManager.addDeadLetter({
+      ...narrowDelivery(delivery, res),
+      attempts: delivery.attempts + 1,
+      last_error: res.error,
+      last_attempt_at: Date.now()
+    });
+  }
+  await ctx.stateManager.save();
+  return res;
+};
+
+const loadMessage = async (ctx, messageId) => {
+  const raw = await fetchRawMessage(ctx.gmailClient, messageId);
+  const parsed = await parseRawEmail(raw);
+  const gmailLink = gmailLinkFor(parsed);
+  const emailObj = {
+    message_id: parsed.id,
+    thread_id: parsed.threadId,
+    gmail_link: gmailLink,
+    date: parsed.date,
+    from: parsed.from,
+    to: parsed.to,
+    cc: parsed.cc,
+    subject: parsed.subject,
+    body_text: parsed.body_text,
+    attachments: parsed.attachments
+  };
+  return { parsed, gmailLink, emailObj };
+};
+
+// Forced rules stand in for the LLM: the packet is built from the email itself.
+const ruleDecisionFields = (rule, parsed, trimmedEmail, maxChars) => ({
+  notify: rule.action === 'notify',
+  message_packet: {
+    title: parsed.subject || 'New mail',
+    body: `From ${parsed.from}: ${(trimmedEmail.body_text || '').replace(/\s+/g, ' ').trim()}`.slice(0, maxChars),
+    urgency: rule.urgency
+  },
+  confidence: 1,
+  reason: `Sender rule "${rule.name}": ${rule.action === 'notify' ? 'always notify' : 'never notify'}`,
+  tokens: 0,
+  llm_latency_ms: 0
+});
+
+const primaryEndpoint = (config) => ({
+  baseUrl: config.llmBaseUrl,
+  apiKey: config.llmApiKey,
+  model: config.llmModel,
+  timeoutMs: config.llmTimeoutMs,
+  provider: config.llmProvider
+});
+
+// A second opinion on its own server speaks `openai` unless SECOND_OPINION_PROVIDER says otherwise;
+// on LLM_BASE_URL it shares LLM_PROVIDER.
+const secondOpinionEndpoint = (config) => ({
+  baseUrl: config.secondOpinionBaseUrl || config.llmBaseUrl,
+  apiKey: config.secondOpinionApiKey || config.llmApiKey,
+  model: config.secondOpinionModel,
+  timeoutMs: config.secondOpinionTimeoutMs || config.llmTimeoutMs,
+  provider: config.secondOpinionProvider || (config.secondOpinionBaseUrl ? 'openai' : config.llmProvider)
+});
+
+const judgeEmail = async (ctx, endpoint, { trimmedEmail, context }) => {
+  const llmRes = await ctx.callLLM({
+    llmBaseUrl: endpoint.baseUrl,
+    apiKey: endpoint.apiKey,
+    model: endpoint.model,
+    temperature: ctx.config.llmTemperature,
+    maxOutputTokens: ctx.config.llmMaxOutputTokens,
+    timeoutMs: endpoint.timeoutMs,
+    emailObj: trimmedEmail,
+    maxSmsChars: ctx.config.maxSmsChars,
+    systemPromptPath: ctx.config.systemPromptPath,
+    context,
+    repairAttempts: ctx.config.llmRepairAttempts,
+    structuredOutput: ctx.config.llmStructuredOutput,
+    provider: endpoint.provider,
+    keepAlive: ctx.config.ollamaKeepAlive,
+    onInvalid: (errors) => {
+      ctx.stateManager.bumpLLMValidationFailures();
+      logEvent('LLM_INVALID', { model: endpoint.model, subject: trimmedEmail.subject, errors: errors.join('; ') });
+    }
+  });
+  if (llmRes.repairs) ctx.stateManager.bumpLLMRepairs();
+  return llmRes;
+};
+
+// With ENSEMBLE_MODELS or ENSEMBLE_SAMPLES every member judges the email in parallel and the votes
+// are combined; members that fail are left out of the vote, and only an all-member failure throws.
+// Resolves to the same shape as judgeEmail plus `ensemble`, with the slowest member's latency.
+const judgeWithEnsemble = async (ctx, { trimmedEmail, context }) => {
+  const members = ensembleMembers(ctx.config);
+  if (!members.length) return judgeEmail(ctx, primaryEndpoint(ctx.config), { trimmedEmail, context });
+  members.slice(1).forEach(() => ctx.stateManager.bumpLLMRequests());
+  const startedAt = Date.now();
+  const results = await Promise.allSettled(members.map((member) => judgeEmail(ctx, member, { trimmedEmail, context })));
+  const votes = results.map((result, idx) => {
+    const { model, weight } = members[idx];
+    if (result.status === 'rejected') {
+      return { model, weight, error: result.reason?.message || String(result.reason), latency_ms: Date.now() - startedAt };
+    }
+    const { parsed, tokens, latencyMs, outputMode } = result.value;
+    return { model, weight, notify: !!parsed.notify, confidence: parsed.confidence, latency_ms: latencyMs, tokens, parsed, outputMode };
+  });
+  const answered = votes.filter((v) => !v.error);
+  if (!answered.length) {
+    const err = new Error(`All ${votes.length} ensemble members failed: ${votes[0].error}`);
+    err.transient = results.every((result) => isTransientLLMError(result.reason));
+    throw err;
+  }
+  const { notify, agreement, representative } = combineVotes(answered, ctx.config.ensembleVote);
+  logEvent('ENSEMBLE', {
+    vote: ctx.config.ensembleVote,
+    members: votes.length,
+    failed: votes.length - answered.length || undefined,
+    yes: answered.filter((v) => v.notify).length,
+    no: answered.filter((v) => !v.notify).length,
+    agreement
+  });
+  return {
+    parsed: { ...representative.parsed, notify },
+    tokens: answered.reduce((sum, v) => sum + (v.tokens || 0), 0),
+    latencyMs: Math.max(...answered.map((v) => v.latency_ms)),
+    outputMode: representative.outputMode,
+    ensemble: {
+      vote: ctx.config.ensembleVote,
+      agreement,
+      votes: votes.map(({ parsed, tokens, outputMode, ...vote }) => vote)
+    }
+  };
+};
+
+// URL red flags or a confidence inside the borderline band send the email to SECOND_OPINION_MODEL.
+const secondOpinionTrigger = (config, decision) => {
+  if (!config.secondOpinionModel) return null;
+  const flags = decision.feature_flags || {};
+  if (config.secondOpinionOnUrlFlags && (flags.has_ip_based_urls || flags.has_mismatched_urls)) return 'url_flags';
+  const confidence = Number(decision.confidence);
+  if (
+    Number.isFinite(confidence) &&
+    confidence >= config.secondOpinionMinConfidence &&
+    confidence <= config.secondOpinionMaxConfidence
+  ) {
+    return 'confidence_band';
+  }
+  return null;
+};
+
+// The second verdict replaces the first; both are kept under `second_opinion`. If the second
+// endpoint fails the first verdict stands, and that failure does not count as an LLM outage.
+const withSecondOpinion = async (ctx, decision, { trimmedEmail, context }) => {
+  const trigger = secondOpinionTrigger(ctx.config, decision);
+  if (!trigger) return decision;
+  const endpoint = secondOpinionEndpoint(ctx.config);
+  const primary = {
+    model: decision.ensemble ? 'ensemble' : ctx.config.llmModel,
+    notify: decision.notify,
+    confidence: decision.confidence,
+    reason: decision.reason,
+    latency_ms: decision.llm_latency_ms
+  };
+  const startedAt = Date.now();
+  ctx.stateManager.bumpLLMRequests();
+  try {
+    const llmRes = await judgeEmail(ctx, endpoint, { trimmedEmail, context });
+    ctx.stateManager.addTokenEvent(llmRes.tokens);
+    const second = {
+      model: endpoint.model,
+      notify: !!llmRes.parsed.notify,
+      confidence: llmRes.parsed.confidence,
+      reason: llmRes.parsed.reason,
+      latency_ms: llmRes.latencyMs
+    };
+    logEvent('SECOND_OPINION', {
+      trigger,
+      model: endpoint.model,
+      first: primary.notify ? 'yes' : 'no',
+      second: second.notify ? 'yes' : 'no',
+      latency_ms: llmRes.latencyMs
+    });
+    return {
+      ...decision,
+      notify: second.notify,
+      message_packet: llmRes.parsed.message_packet,
+      confidence: second.confidence,
+      reason: second.reason,
+      tokens: (decision.tokens || 0) + (llmRes.tokens || 0),
+      llm_latency_ms: decision.llm_latency_ms + llmRes.latencyMs,
+      second_opinion: { trigger, primary, second }
+    };
+  } catch (err) {
+    logEvent('SECOND_OPINION', { trigger, model: endpoint.model, error: err.message });
+    return {
+      ...decision,
+      second_opinion: {
+        trigger,
+        primary,
+        second: { model: endpoint.model, error: err.message, latency_ms: Date.now() - startedAt }
+      }
+    };
+  }
+};
+
+const smsMessageFor = (packet, maxChars) => {
+  let smsBody = `${packet.title || 'New mail'}`;
+  if (packet.urgency) smsBody += ` [${packet.urgency}]`;
+  if (packet.body) smsBody += `\n${packet.body}`;
+  return smsBody.slice(0, maxChars);
+};
+
+// Low-confidence notifications and refusals wait on the dashboard instead of being sent or dropped.
+// Thresholds of 0 (the default) disable review.
+const reviewKindFor = (config, decision) => {
+  const confidence = Number(decision.confidence);
+  if (!Number.isFinite(confidence)) return null;
+  if (decision.notify && confidence < config.reviewNotifyConfidence) return 'notify';
+  if (!decision.notify && confidence < config.reviewRefusalConfidence) return 'refusal';
+  return null;
+};
+
+// Approval is an explicit "send this now": routing applies, but not mutes, cooldowns, digests,
+// quiet hours or rate caps. Resolves to the number of channels tried, or null for an unknown item.
+const approveReview = async (ctx, id) => {
+  const item = ctx.stateManager.takeReview(id);
+  if (!item) return null;
+  const { decision, message } = item;
+  const packet = decision.message_packet || {};
+  const urgency = packet.urgency || 'normal';
+  const { route, targets } = resolveDecisionTargets(ctx, decision, urgency);
+  ctx.stateManager.setDecisionReview(id, { status: 'approved', reviewed_at: Date.now() });
+  logEvent('REVIEW', { event: 'approve', kind: item.kind, subject: decision.subject, channels: targets.length });
+  if (targets.length) await fanOutDecision(ctx, { decision, packet, message, urgency, route, targets });
+  await ctx.stateManager.save();
+  return targets.length;
+};
+
+const dismissReview = async (ctx, id) => {
+  const item = ctx.stateManager.takeReview(id);
+  if (!item) return false;
+  ctx.stateManager.setDecisionReview(id, { status: 'dismissed', reviewed_at: Date.now() });
+  logEvent('REVIEW', { event: 'dismiss', kind: item.kind, subject: item.decision.subject });
+  await ctx.stateManager.save();
+  return true;
+};
+
+const processSingleMessage = async (ctx, messageMeta, loaded, { enqueuedAt } = {}) => {
   const messageId = messageMeta.id;
   if (ctx.stateManager.getState().processed[messageId]) {
     return;
   }
 
   try {
-    const raw = await fetchRawMessage(ctx.gmailClient, messageId);
-    const parsed = await parseRawEmail(raw);
-    const gmailLink = gmailLinkFor(parsed);
-    const emailObj = {
-      message_id: parsed.id,
-      thread_id: parsed.threadId,
+    const { parsed, gmailLink, emailObj } = loaded || (await loadMessage(ctx, messageId));
+    const pendingRetry = ctx.stateManager.getLLMRetry(messageId);
+    const trimmedEmail = trimEmailForLLM(emailObj, { maxBodyChars: ctx.config.maxEmailBodyChars });
+    const rule = matchSenderRule(loadSenderRules(ctx.config.senderRulesPath), parsed);
+    const common = {
+      id: messageId,
       gmail_link: gmailLink,
-      date: parsed.date,
+      thread_id: parsed.threadId,
       from: parsed.from,
-      to: parsed.to,
-      cc: parsed.cc,
       subject: parsed.subject,
-      body_text: parsed.body_text,
-      attachments: parsed.attachments
+      trim_stats: trimmedEmail.stats,
+      feature_flags: deriveFeatureFlags(trimmedEmail),
+      analysis: buildAnalysisFields(trimmedEmail),
+      rule: rule ? { name: rule.name, action: rule.action } : undefined,
+      enqueued_at: enqueuedAt
     };
 
-    const trimmedEmail = trimEmailForLLM(emailObj, { maxBodyChars: ctx.config.maxEmailBodyChars });
-
-    ctx.stateManager.bumpLLMRequests();
     let decision;
-    try {
-      const llmRes = await ctx.callLLM({
-        llmBaseUrl: ctx.config.llmBaseUrl,
-        apiKey: ctx.config.llmApiKey,
-        model: ctx.config.llmModel,
-        temperature: ctx.config.llmTemperature,
-        maxOutputTokens: ctx.config.llmMaxOutputTokens,
-        timeoutMs: ctx.config.llmTimeoutMs,
-        emailObj: trimmedEmail,
-        maxSmsChars: ctx.config.maxSmsChars,
-        systemPromptPath: ctx.config.systemPromptPath
-      });
-      ctx.stateManager.addTokenEvent(llmRes.tokens);
-      ctx.stateManager.setLLMOk(llmRes.latencyMs);
-      decision = {
-        id: messageId,
-        notify: !!llmRes.parsed.notify,
-        message_packet: llmRes.parsed.message_packet,
-        confidence: llmRes.parsed.confidence,
-        reason: llmRes.parsed.reason,
-        tokens: llmRes.tokens,
-        llm_latency_ms: llmRes.latencyMs,
-        gmail_link: gmailLink,
-        from: parsed.from,
-        subject: parsed.subject,
-        trim_stats: trimmedEmail.stats,
-        feature_flags: deriveFeatureFlags(trimmedEmail),
-        analysis: buildAnalysisFields(trimmedEmail),
-        decided_at: Date.now()
-      };
-    } catch (err) {
-      ctx.stateManager.setLLMError(err.message);
-      await maybeSendOutageAlert(ctx);
-      decision = {
-        id: messageId,
-        notify: false,
-        message_packet: { title: 'LLM error', body: err.message, urgency: 'normal' },
-        confidence: 0,
-        reason: `LLM failure: ${err.message}`,
-        tokens: 0,
-        llm_latency_ms: 0,
-        gmail_link: gmailLink,
-        from: parsed.from,
-        subject: parsed.subject,
-        trim_stats: trimmedEmail.stats,
-        feature_flags: deriveFeatureFlags(trimmedEmail),
-        analysis: buildAnalysisFields(trimmedEmail),
-        decided_at: Date.now()
+    let llmVerdict = false;
+    if (isForcedRule(rule)) {
+      decision = { ...common, ...ruleDecisionFields(rule, parsed, trimmedEmail, ctx.config.maxSmsChars), decided_at: Date.now() };
+    } else {
+      ctx.stateManager.bumpLLMRequests();
+      const context = rule?.context || undefined;
+      try {
+        const llmRes = await judgeWithEnsemble(ctx, { trimmedEmail, context });
+        ctx.stateManager.addTokenEvent(llmRes.tokens);
+        ctx.stateManager.setLLMOk(llmRes.latencyMs);
+        ctx.llmBreaker.failures = 0;
+        ctx.stateManager.bumpLLMOutputMode(llmRes.outputMode);
+        decision = {
+          ...common,
+          notify: !!llmRes.parsed.notify,
+          message_packet: llmRes.parsed.message_packet,
+          confidence: llmRes.parsed.confidence,
+          reason: llmRes.parsed.reason,
+          tokens: llmRes.tokens,
+          llm_latency_ms: llmRes.latencyMs,
+          ensemble: llmRes.ensemble,
+          llm_output_mode: llmRes.outputMode,
+          decided_at: Date.now()
+        };
+        llmVerdict = true;
+        decision = await withSecondOpinion(ctx, decision, { trimmedEmail, context });
+        const overrideRule = matchDecisionRule(loadDecisionRules(ctx.config.decisionRulesPath), decision);
+        if (overrideRule) decision = applyDecisionRule(overrideRule, decision);
+      } catch (err) {
+        // Only an unreachable or failing server marks the LLM down, counts toward the breaker and
+        // earns a retry; an answer the model got wrong is recorded as an LLM failure straight away.
+        const transient = isTransientLLMError(err);
+        if (transient) {
+          ctx.stateManager.setLLMError(err.message);
+          recordLLMFailure(ctx, err.message);
+          await maybeSendOutageAlert(ctx);
+        }
+        const attempts = (pendingRetry?.attempts || 0) + 1;
+        if (transient && attempts <= ctx.config.llmRetryMaxAttempts) {
+          // Backoff doubles per attempt: LLM_RETRY_BACKOFF_MS, 2x, 4x, ...
+          const nextAttemptAt = Date.now() + ctx.config.llmRetryBackoffMs * 2 ** (attempts - 1);
+          ctx.stateManager.addLLMRetry(messageId, {
+            threadId: parsed.threadId,
+            subject: parsed.subject,
+            error: err.message,
+            nextAttemptAt
+          });
+          logEvent('LLM_RETRY', { event: 'defer', subject: parsed.subject, attempts, next_attempt_at: nextAttemptAt, error: err.message });
+          await ctx.stateManager.save();
+          return;
+        }
+        decision = {
+          ...common,
+          notify: false,
+          message_packet: { title: 'LLM error', body: err.message, urgency: 'normal' },
+          confidence: 0,
+          reason: `LLM failure: ${err.message}`,
+          tokens: 0,
+          llm_latency_ms: 0,
+          decided_at: Date.now()
+        };
+      }
+    }
+
+    // Emails deferred by an LLM outage record how late they were finally judged.
+    if (pendingRetry) {
+      decision.retry = {
+        attempts: pendingRetry.attempts,
+        first_failed_at: pendingRetry.first_failed_at,
+        delay_ms: decision.decided_at - pendingRetry.first_failed_at
       };
     }
 
@@ -425,118 +1209,34 @@ const processSingleMessage = async (ctx, messageMeta) => {
       from: decision.from,
       subject: decision.subject,
       reason: decision.reason,
+      rule: decision.rule?.name,
+      override: decision.override ? `${decision.override.rule}:${decision.override.action}` : undefined,
+      agreement: decision.ensemble?.agreement,
+      retry_delay_ms: decision.retry?.delay_ms,
       tokens: decision.tokens,
       latency_ms: decision.llm_latency_ms
     });
 
+    const reviewKind = llmVerdict && !decision.override ? reviewKindFor(ctx.config, decision) : null;
+    if (reviewKind) decision.review = { kind: reviewKind, status: 'pending' };
     ctx.stateManager.addDecision(decision);
-    const shouldNotify = !!decision.notify;
-
-    if (shouldNotify) {
-      const packet = decision.message_packet || {};
-      let smsBody = `${packet.title || 'New mail'}`;
-      if (packet.urgency) smsBody += ` [${packet.urgency}]`;
-      if (packet.body) smsBody += `\n${packet.body}`;
-      const truncated = smsBody.slice(0, ctx.config.maxSmsChars);
-      const service = ctx.config.notificationService;
-      if (service === 'twilio') {
-        try {
-          const sendResult = await sendSms({
-            client: ctx.twilioClient,
-            to: ctx.config.twilioTo,
-            from: ctx.config.twilioFrom,
-            body: truncated,
-            dryRun: ctx.config.dryRun
-          });
-          ctx.stateManager.setTwilioOk();
-          logEvent('TWILIO', {
-            send: 'ok',
-            to: ctx.config.twilioTo,
-            from: parsed.from,
-            subject: parsed.subject,
-            urgency: packet.urgency || 'normal',
-            sid: sendResult.sid
-          });
-          ctx.stateManager.addSend({
-            sent_at: Date.now(),
-            from: parsed.from,
-            subject: parsed.subject,
-            urgency: packet.urgency || 'normal',
-            tokens_for_email: tokenCountFromDecision(decision),
-            reason: decision.reason,
-            twilio_sid: sendResult.sid,
-            notification_provider: 'twilio',
-            notification_id: sendResult.sid,
-            sms_preview: truncated,
-            gmail_link: gmailLink
-          });
-        } catch (err) {
-          ctx.stateManager.setTwilioError(err.message);
-          logEvent('TWILIO', {
-            send: 'fail',
-            to: ctx.config.twilioTo,
-            from: parsed.from,
-            subject: parsed.subject,
-            urgency: packet.urgency || 'normal',
-            error: err.message
-          });
-        }
-      } else if (service === 'pushover') {
-        try {
-          const sendResult = await ctx.pushoverSender({
-            token: ctx.config.pushoverToken,
-            user: ctx.config.pushoverUser,
-            device: ctx.config.pushoverDevice,
-            title: packet.title || 'New mail',
-            message: truncated,
-            priority: 2,
-            retry: 100,
-            expire: 7 * 24 * 60 * 60,
-            dryRun: ctx.config.dryRun
-          });
-          ctx.stateManager.setPushoverOk();
-          logEvent('PUSHOVER', {
-            send: 'ok',
-            to: ctx.config.pushoverUser,
-            device: ctx.config.pushoverDevice,
-            from: parsed.from,
-            subject: parsed.subject,
-            urgency: packet.urgency || 'normal',
-            receipt: sendResult.receipt
-          });
-          ctx.stateManager.addSend({
-            sent_at: Date.now(),
-            from: parsed.from,
-            subject: parsed.subject,
-            urgency: packet.urgency || 'normal',
-            tokens_for_email: tokenCountFromDecision(decision),
-            reason: decision.reason,
-            pushover_receipt: sendResult.receipt,
-            notification_provider: 'pushover',
-            notification_id: sendResult.receipt,
-            sms_preview: truncated,
-            gmail_link: gmailLink
-          });
-        } catch (err) {
-          ctx.stateManager.setPushoverError(err.message);
-          logEvent('PUSHOVER', {
-            send: 'fail',
-            to: ctx.config.pushoverUser,
-            device: ctx.config.pushoverDevice,
-            from: parsed.from,
-            subject: parsed.subject,
-            urgency: packet.urgency || 'normal',
-            error: err.message
-          });
-        }
-      } else {
-        const msg = `Notification service not recognized: ${service}`;
-        ctx.stateManager.setTwilioError(msg);
-        ctx.stateManager.setPushoverError(msg);
-        logEvent('NOTIFY', { send: 'fail', error: msg });
-      }
+    const packet = decision.message_packet || {};
+
+    if (reviewKind) {
+      ctx.stateManager.addReview({
+        id: messageId,
+        kind: reviewKind,
+        confidence: decision.confidence,
+        queued_at: Date.now(),
+        decision: decisionSnapshot(decision),
+        message: smsMessageFor(packet, ctx.config.maxSmsChars)
+      });
+      logEvent('REVIEW', { event: 'queue', kind: reviewKind, confidence: decision.confidence, subject: decision.subject });
+    } else if (decision.notify) {
+      await sendDecisionNotification(ctx, { decision, packet, message: smsMessageFor(packet, ctx.config.maxSmsChars) });
     }
 
+    ctx.stateManager.removeLLMRetry(messageId);
     ctx.stateManager.markProcessed(
       messageId,
       decision.reason?.startsWith('LLM failure') ? 'error' : 'ok',
@@ -545,11 +1245,117 @@ const processSingleMessage = async (ctx, messageMeta) => {
     await ctx.stateManager.save();
   } catch (err) {
     logEvent('PROCESS', { id: messageId, status: 'fail', error: err.message });
+    ctx.stateManager.removeLLMRetry(messageId);
     ctx.stateManager.markProcessed(messageId, 'error', err.message);
     await ctx.stateManager.save();
   }
 };
 
+// Consecutive LLM failures (LLM_BREAKER_FAILURES) open the breaker: the queue pauses and the emails
+// still waiting in it are parked in the retry set until retryLLMFailures sees the LLM healthy again.
+const recordLLMFailure = (ctx, error) => {
+  const breaker = ctx.llmBreaker;
+  breaker.failures += 1;
+  if (breaker.open || !ctx.config.llmBreakerFailures || breaker.failures < ctx.config.llmBreakerFailures) return;
+  breaker.open = true;
+  breaker.opened_at = Date.now();
+  breaker.probed_at = breaker.opened_at;
+  const parked = ctx.llmQueue.pause();
+  for (const task of parked) {
+    ctx.stateManager.addLLMRetry(task.id, { threadId: task.messageMeta?.threadId, error: 'LLM circuit open', attempted: false });
+  }
+  logEvent('LLM_BREAKER', { event: 'open', failures: breaker.failures, parked: parked.length, error });
+};
+
+const enqueueForLLM = (ctx, task) => {
+  if (ctx.llmBreaker.open) {
+    ctx.stateManager.addLLMRetry(task.id, { threadId: task.messageMeta.threadId, error: 'LLM circuit open', attempted: false });
+    return;
+  }
+  ctx.llmQueue.enqueue(task);
+};
+
+// While the breaker is open, LLM health is probed at most every LLM_RETRY_PROBE_MS and a healthy
+// answer closes it, making every deferred email due. Otherwise an email is due once its
+// next_attempt_at has passed. Due emails are queued again, as many as the LLM queue has room for.
+const retryLLMFailures = async (ctx, { force = false } = {}) => {
+  const breaker = ctx.llmBreaker;
+  const now = Date.now();
+  const recovered = breaker.open;
+  if (breaker.open) {
+    if (!force && now - breaker.probed_at < ctx.config.llmRetryProbeMs) return;
+    breaker.probed_at = now;
+    const res = await ctx.llmHealthCheck({
+      llmBaseUrl: ctx.config.llmBaseUrl,
+      apiKey: ctx.config.llmApiKey,
+      timeoutMs: Math.min(ctx.config.llmTimeoutMs, 10000),
+      provider: ctx.config.llmProvider
+    });
+    ctx.stateManager.setLLMHealthCheck(res.ok, res.latencyMs, res.error);
+    await ctx.stateManager.save();
+    if (!res.ok) return;
+    breaker.open = false;
+    breaker.failures = 0;
+    logEvent('LLM_BREAKER', { event: 'close', down_ms: now - breaker.opened_at });
+    ctx.llmQueue.resume();
+  }
+  const retries = ctx.stateManager.listLLMRetries();
+  const room = ctx.config.maxLlmQueue > 0 ? Math.max(ctx.config.maxLlmQueue - ctx.llmQueue.stats().depth, 0) : retries.length;
+  const due = retries
+    .filter((entry) => !ctx.llmQueue.has(entry.id) && (recovered || (entry.next_attempt_at || 0) <= now))
+    .slice(0, room);
+  if (!due.length) return;
+  logEvent('LLM_RETRY', { event: 'requeue', count: due.length, pending: retries.length });
+  for (const entry of due) {
+    ctx.llmQueue.enqueue({ id: entry.id, messageMeta: { id: entry.id, threadId: entry.thread_id } });
+  }
+};
+
+// Tasks that were waiting or running when the process stopped are queued again in their original
+// order with their original enqueued_at; any beyond MAX_LLM_QUEUE wait in the LLM retry set
+// instead of being dropped.
+const restoreLLMQueue = (ctx) => {
+  const state = ctx.stateManager.getState();
+  const saved = (state.llm_queue_tasks || [])
+    .filter((task) => task.id && !state.processed[task.id] && !state.llm_retry?.[task.id])
+    .sort((a, b) => (a.enqueued_at || 0) - (b.enqueued_at || 0));
+  if (!saved.length) return;
+  const room = ctx.config.maxLlmQueue > 0 ? ctx.config.maxLlmQueue : saved.length;
+  for (const task of saved.slice(room)) {
+    ctx.stateManager.addLLMRetry(task.id, { threadId: task.thread_id, error: 'LLM queue full after restart', attempted: false });
+  }
+  logEvent('LLM_QUEUE', {
+    event: 'restore',
+    restored: Math.min(saved.length, room),
+    parked: saved.length > room ? saved.length - room : undefined
+  });
+  for (const task of saved.slice(0, room)) {
+    ctx.llmQueue.enqueue({ id: task.id, messageMeta: { id: task.id, threadId: task.thread_id }, enqueued_at: task.enqueued_at });
+  }
+};
+
+// With always/never-notify rules configured, messages are fetched up front so forced ones are
+// decided here and never wait in (or overflow) the LLM queue.
+const dispatchMessage = async (ctx, messageMeta, rules) => {
+  if (!rules.some(isForcedRule) || ctx.llmQueue.has(messageMeta.id)) {
+    enqueueForLLM(ctx, { id: messageMeta.id, messageMeta });
+    return;
+  }
+  let loaded;
+  try {
+    loaded = await loadMessage(ctx, messageMeta.id);
+  } catch (err) {
+    // processSingleMessage fetches again and records the failure.
+    enqueueForLLM(ctx, { id: messageMeta.id, messageMeta });
+    return;
+  }
+  if (isForcedRule(matchSenderRule(rules, loaded.parsed))) {
+    await processSingleMessage(ctx, messageMeta, loaded);
+  } else {
+    enqueueForLLM(ctx, { id: messageMeta.id, messageMeta, loaded });
+  }
+};
+
 const pollGmail = async (ctx) => {
   if (ctx.pollLock) return;
   ctx.pollLock = true;
@@ -569,7 +1375,7 @@ const pollGmail = async (ctx) => {
       query: effectiveQuery
     });
     ctx.stateManager.setGmailOk();
-    const newMessages = messages.filter((m) => !state.processed[m.id]);
+    const newMessages = messages.filter((m) => !state.processed[m.id] && !state.llm_retry?.[m.id]);
     if (shouldLogPerPoll) {
       logEvent('GMAIL', {
         poll: 'ok',
@@ -581,8 +1387,9 @@ const pollGmail = async (ctx) => {
       });
     }
     recordGmailSummary(ctx, { ok: true, newMail: newMessages.length });
+    const rules = loadSenderRules(ctx.config.senderRulesPath);
     for (const m of newMessages) {
-      ctx.llmQueue.enqueue({ id: m.id, messageMeta: m });
+      await dispatchMessage(ctx, m, rules);
     }
   } catch (err) {
     ctx.stateManager.revertGmailPoll(previousPollAt);
@@ -605,7 +1412,8 @@ const maybeCheckLLMHealth = async (ctx) => {
   const res = await ctx.llmHealthCheck({
     llmBaseUrl: ctx.config.llmBaseUrl,
     apiKey: ctx.config.llmApiKey,
-    timeoutMs: Math.min(ctx.config.llmTimeoutMs, 10000)
+    timeoutMs: Math.min(ctx.config.llmTimeoutMs, 10000),
+    provider: ctx.config.llmProvider
   });
   ctx.stateManager.setLLMHealthCheck(res.ok, res.latencyMs, res.error);
   if (!res.ok) {
@@ -614,10 +1422,62 @@ const maybeCheckLLMHealth = async (ctx) => {
   await ctx.stateManager.save();
 };
 
+const hasOpenPushoverReceipt = (send) =>
+  send.pushover_priority === 2 &&
+  send.status !== 'failed' &&
+  send.pushover_receipt &&
+  send.pushover_receipt !== 'DRY_RUN' &&
+  !send.pushover_ack?.acknowledged &&
+  !send.pushover_ack?.expired;
+
+// Emergency alerts keep re-notifying until acknowledged or expired; track which one happened.
+const pollPushoverReceipts = async (ctx, { force = false } = {}) => {
+  if (!ctx.config.pushoverToken) return;
+  const now = Date.now();
+  if (!force && now - ctx.lastReceiptPollAt < ctx.config.pushoverReceiptPollMs) return;
+  ctx.lastReceiptPollAt = now;
+  const receipts = [
+    ...new Set(ctx.stateManager.getState().recent_sends.filter(hasOpenPushoverReceipt).map((s) => s.pushover_receipt))
+  ];
+  if (!receipts.length) return;
+  for (const receipt of receipts) {
+    try {
+      const status = await ctx.fetchPushoverReceipt({
+        token: ctx.config.pushoverToken,
+        receipt,
+        apiUrl: ctx.config.pushoverApiUrl
+      });
+      ctx.stateManager.recordPushoverReceipt(receipt, { ...status, checked_at: now });
+      if (status.acknowledged || status.expired) {
+        logEvent('PUSHOVER', {
+          receipt,
+          acknowledged: status.acknowledged ? 'yes' : 'no',
+          device: status.acknowledged_by_device || undefined,
+          expired: status.expired ? 'yes' : 'no'
+        });
+      }
+    } catch (err) {
+      // Unknown receipts (404) will never resolve, so stop polling them.
+      if (err.response?.status === 404) {
+        ctx.stateManager.recordPushoverReceipt(receipt, { expired: true, error: 'receipt not found', checked_at: now });
+      }
+      logEvent('PUSHOVER', { receipt, receipt_check: 'fail', error: err.message });
+    }
+  }
+  await ctx.stateManager.save();
+};
+
 const startPolling = (ctx) => {
   const loop = async () => {
     await pollGmail(ctx);
     await maybeCheckLLMHealth(ctx);
+    await retryLLMFailures(ctx);
+    await flushDeferredNotifications(ctx);
+    await flushDigest(ctx);
+    await flushSuppressed(ctx);
+    await flushThreadUpdates(ctx);
+    await processNotificationRetries(ctx);
+    await pollPushoverReceipts(ctx);
     ctx.pollTimer = setTimeout(loop, ctx.config.pollIntervalMs);
   };
   ctx.pollTimer = setTimeout(loop, 1000);
@@ -628,32 +1488,34 @@ const stopPolling = (ctx) => {
   ctx.pollTimer = null;
 };
 
-const twilioStartupCheck = async (ctx) => {
-  if (!ctx.twilioClient) {
-    ctx.stateManager.setTwilioError('Missing Twilio credentials');
-    return;
-  }
-  const res = await checkTwilioCredentials(ctx.twilioClient, ctx.config.twilioAccountSid);
-  if (res.ok) {
-    ctx.stateManager.setTwilioOk();
-  } else {
-    ctx.stateManager.setTwilioError(res.error || 'Twilio check failed');
+const notifierStartupCheck = async (ctx) => {
+  for (const { name, notifier } of ctx.notificationChannels) {
+    if (!notifier) {
+      logEvent('NOTIFY', { startup_check: 'fail', error: unrecognizedServiceError(name) });
+      continue;
+    }
+    const res = await notifier.check();
+    if (res.ok) {
+      ctx.stateManager.setNotifierOk(name);
+    } else {
+      ctx.stateManager.setNotifierError(name, res.error || `${name} check failed`);
+    }
   }
   await ctx.stateManager.save();
 };
 
-const pushoverStartupCheck = async (ctx) => {
-  const res = await ctx.pushoverValidator({
-    token: ctx.config.pushoverToken,
-    user: ctx.config.pushoverUser,
-    device: ctx.config.pushoverDevice
-  });
-  if (res.ok) {
-    ctx.stateManager.setPushoverOk();
-  } else {
-    ctx.stateManager.setPushoverError(res.error || 'Pushover check failed');
+const buildChannelHealth = ({ name, notifier }, stats, now) => {
+  if (!notifier) {
+    return { service: name, ok: false, last_success_at: 0, last_error: unrecognizedServiceError(name) };
   }
-  await ctx.stateManager.save();
+  const channelStats = stats[name] || {};
+  const recent = channelStats.last_ok_at > 0 && now - channelStats.last_ok_at <= 24 * 60 * 60 * 1000;
+  return {
+    service: name,
+    ok: !!(recent || channelStats.startup_ok_at) && !channelStats.last_error,
+    last_success_at: channelStats.last_ok_at || channelStats.startup_ok_at || 0,
+    last_error: channelStats.last_error || ''
+  };
 };
 
 const buildHealth = (ctx, stats) => {
@@ -663,15 +1525,7 @@ const buildHealth = (ctx, stats) => {
   const llmRecent = stats.llm.last_ok_at > 0 && now - stats.llm.last_ok_at <= 5 * 60 * 1000;
   const llmOk = (llmRecent || stats.llm.last_health_check_at) && !stats.llm.last_error;
 
-  const twilioRecent = stats.twilio.last_ok_at > 0 && now - stats.twilio.last_ok_at <= 24 * 60 * 60 * 1000;
-  const twilioOk = (twilioRecent || stats.twilio.startup_ok_at) && !stats.twilio.last_error;
-  const pushoverRecent =
-    stats.pushover.last_ok_at > 0 && now - stats.pushover.last_ok_at <= 24 * 60 * 60 * 1000;
-  const pushoverOk = (pushoverRecent || stats.pushover.startup_ok_at) && !stats.pushover.last_error;
-
-  const notificationService = ctx.config.notificationService;
-  const notificationStats = notificationService === 'pushover' ? stats.pushover : stats.twilio;
-  const notificationOk = notificationService === 'pushover' ? pushoverOk : twilioOk;
+  const channels = ctx.notificationChannels.map((channel) => buildChannelHealth(channel, stats, now));
 
   const health = {
     gmail: {
@@ -688,18 +1542,20 @@ const buildHealth = (ctx, stats) => {
       last_latency_ms: stats.llm.last_latency_ms
     },
     notification: {
-      service: notificationService,
-      ok: notificationOk,
-      last_success_at: notificationStats.last_ok_at || notificationStats.startup_ok_at,
-      last_error: notificationStats.last_error
-    }
+      service: channels.map((c) => c.service).join(','),
+      ok: channels.length > 0 && channels.every((c) => c.ok),
+      last_success_at: Math.max(0, ...channels.map((c) => c.last_success_at)),
+      last_error: channels
+        .filter((c) => c.last_error)
+        .map((c) => (channels.length > 1 ? `${c.service}: ${c.last_error}` : c.last_error))
+        .join('; ')
+    },
+    notification_channels: channels
   };
 
-  if (notificationService === 'twilio') {
-    health.twilio = health.notification;
-  } else if (notificationService === 'pushover') {
-    health.pushover = health.notification;
-  }
+  ctx.notificationChannels.forEach((channel, idx) => {
+    if (channel.notifier) health[channel.name] = channels[idx];
+  });
 
   return health;
 };
@@ -741,7 +1597,8 @@ const maybeSendOutageAlert = async (ctx) => {
     if (!down.length) return;
 
     const health = buildHealth(ctx, stats);
-    if (!health.notification?.ok) {
+    const healthyChannels = ctx.notificationChannels.filter((_, idx) => health.notification_channels[idx].ok);
+    if (!healthyChannels.length) {
       logEvent('ALERT', { send: 'skip', reason: 'notification_unhealthy' });
       return;
     }
@@ -750,77 +1607,34 @@ const maybeSendOutageAlert = async (ctx) => {
     const lines = down.map((d) => `${d.label} down: ${d.error} (since ${formatSince(d.since)})`);
     const message = `${title}\n${lines.join('\n')}`.trim();
     const body = message.slice(0, ctx.config.maxSmsChars);
-    const service = ctx.config.notificationService;
+    const services = down.map((d) => d.key);
+    const payload = { title, message: body, urgency: 'critical', kind: 'outage' };
 
-    try {
-      if (service === 'twilio') {
-        const sendResult = await sendSms({
-          client: ctx.twilioClient,
-          to: ctx.config.twilioTo,
-          from: ctx.config.twilioFrom,
-          body,
-          dryRun: ctx.config.dryRun
-        });
-        ctx.stateManager.setTwilioOk();
+    const results = await Promise.all(
+      healthyChannels.map(async (channel) => {
+        const res = await sendViaChannel(ctx, channel, payload);
         ctx.stateManager.addSend({
           sent_at: Date.now(),
           reason: 'service_outage',
           urgency: 'critical',
-          notification_provider: 'twilio',
-          notification_id: sendResult.sid,
+          ...channelSendFields(channel, res),
           sms_preview: body,
-          outage_services: down.map((d) => d.key)
+          outage_services: services
         });
         logEvent('ALERT', {
-          send: 'ok',
-          provider: 'twilio',
-          services: down.map((d) => d.key).join('+'),
-          sid: sendResult.sid
+          send: res.ok ? 'ok' : 'fail',
+          provider: channel.name,
+          services: services.join('+'),
+          ...(res.ok ? res.sendResult.logFields : { error: res.error })
         });
-      } else if (service === 'pushover') {
-        const sendResult = await ctx.pushoverSender({
-          token: ctx.config.pushoverToken,
-          user: ctx.config.pushoverUser,
-          device: ctx.config.pushoverDevice,
-          title,
-          message: body,
-          priority: 2,
-          retry: 60,
-          expire: 60 * 60,
-          dryRun: ctx.config.dryRun
-        });
-        ctx.stateManager.setPushoverOk();
-        ctx.stateManager.addSend({
-          sent_at: Date.now(),
-          reason: 'service_outage',
-          urgency: 'critical',
-          notification_provider: 'pushover',
-          notification_id: sendResult.receipt,
-          pushover_receipt: sendResult.receipt,
-          sms_preview: body,
-          outage_services: down.map((d) => d.key)
-        });
-        logEvent('ALERT', {
-          send: 'ok',
-          provider: 'pushover',
-          services: down.map((d) => d.key).join('+'),
-          receipt: sendResult.receipt
-        });
-      } else {
-        const msg = `Notification service not recognized: ${service}`;
-        ctx.stateManager.setTwilioError(msg);
-        ctx.stateManager.setPushoverError(msg);
-        logEvent('ALERT', { send: 'fail', error: msg });
-        return;
-      }
+        return res;
+      })
+    );
 
+    if (results.some((r) => r.ok)) {
       down.forEach(({ key }) => ctx.stateManager.markOutageAlertSent(key));
-      await ctx.stateManager.save();
-    } catch (err) {
-      if (service === 'twilio') ctx.stateManager.setTwilioError(err.message);
-      if (service === 'pushover') ctx.stateManager.setPushoverError(err.message);
-      logEvent('ALERT', { send: 'fail', provider: service, error: err.message });
     }
+    await ctx.stateManager.save();
   })();
 
   ctx.outageAlertInFlight = run.finally(() => {
@@ -830,18 +1644,52 @@ const maybeSendOutageAlert = async (ctx) => {
   return ctx.outageAlertInFlight;
 };
 
+// The stored decision is only needed to resend; the dashboard gets the headline fields.
+const summarizeDelivery = ({ decision, payload, ...rest }) => ({
+  ...rest,
+  decision_id: decision?.id,
+  from: decision?.from,
+  subject: decision?.subject,
+  title: payload?.title,
+  urgency: payload?.urgency,
+  gmail_link: decision?.gmail_link
+});
+
 const buildStatusSnapshot = (ctx) => {
   const current = ctx.stateManager.getState();
   const stats = current.stats;
   const health = buildHealth(ctx, stats);
   const llmTps = computeRecentTps(current.recent_decisions || []);
-  const statsWithDerived = { ...stats, llm_tps: llmTps };
+  const statsWithDerived = {
+    ...stats,
+    llm_tps: llmTps,
+    digest_pending: current.digest?.pending?.length || 0,
+    suppressed_pending: current.rate_limit?.suppressed?.length || 0,
+    review_pending: current.review_queue?.length || 0,
+    llm_retry_pending: Object.keys(current.llm_retry || {}).length,
+    llm_breaker: {
+      open: ctx.llmBreaker.open,
+      opened_at: ctx.llmBreaker.opened_at,
+      consecutive_failures: ctx.llmBreaker.failures
+    }
+  };
   const gpuData = ctx.gpuMonitor?.getSnapshot() || null;
+  const labels = new Map((current.recent_decisions || []).filter((d) => d.label).map((d) => [d.id, d.label]));
   return {
     health,
     stats: statsWithDerived,
-    recent_sends: [...(current.recent_sends || [])].slice(-50).reverse(),
+    recent_sends: [...(current.recent_sends || [])]
+      .slice(-50)
+      .reverse()
+      .map((send) => (labels.has(send.decision_id) ? { ...send, label: labels.get(send.decision_id) } : send)),
     recent_decisions: [...(current.recent_decisions || [])].slice(-20).reverse(),
+    deferred_notifications: [...(current.deferred_notifications || [])].reverse(),
+    review_queue: [...(current.review_queue || [])].reverse(),
+    llm_retry: ctx.stateManager.listLLMRetries(),
+    notification_retries: (current.notification_retries || []).map(summarizeDelivery),
+    dead_letters: [...(current.dead_letters || [])].reverse().map(summarizeDelivery),
+    muted_senders: current.muted_senders || {},
+    snooze_until: current.snooze_until || 0,
     config_sanitized: {
       poll_interval_ms: ctx.config.pollIntervalMs,
       poll_max_results: ctx.config.pollMaxResults,
@@ -855,6 +1703,26 @@ const buildStatusSnapshot = (ctx) => {
       max_llm_queue: ctx.config.maxLlmQueue,
       dry_run: ctx.config.dryRun,
       notification_service: ctx.config.notificationService,
+      notification_routes_path: ctx.config.notificationRoutesPath,
+      sender_rules_path: ctx.config.senderRulesPath,
+      decision_rules_path: ctx.config.decisionRulesPath,
+      llm_provider: ctx.config.llmProvider,
+      llm_structured_output: ctx.config.llmStructuredOutput,
+      second_opinion_model: ctx.config.secondOpinionModel,
+      ensemble_size: ensembleMembers(ctx.config).length,
+      ensemble_vote: ctx.config.ensembleVote,
+      quiet_hours: ctx.config.quietHours,
+      quiet_hours_by_urgency: ctx.config.quietHoursByUrgency,
+      digest_schedule: ctx.config.digestSchedule,
+      digest_urgencies: ctx.config.digestUrgencies,
+      digest_daily_at: ctx.config.digestDailyAt,
+      thread_cooldown_ms: ctx.config.threadCooldownMs,
+      thread_cooldown_mode: ctx.config.threadCooldownMode,
+      notify_max_per_hour: ctx.config.notifyMaxPerHour,
+      notify_max_per_day: ctx.config.notifyMaxPerDay,
+      notify_max_per_sender_per_hour: ctx.config.notifyMaxPerSenderPerHour,
+      notify_retry_max_attempts: ctx.config.notifyRetryMaxAttempts,
+      notify_retry_backoff_ms: ctx.config.notifyRetryBackoffMs,
       llm_base_url: ctx.config.llmBaseUrl,
       llm_model: ctx.config.llmModel,
       analyst_max_items_opus: ctx.config.analystMaxItemsOpus,
@@ -1000,9 +1868,27 @@ const summarizeDecision = (d) => ({
   confidence: d.confidence,
   decided_at: d.decided_at,
   gmail_link: d.gmail_link,
-  feature_flags: d.feature_flags || {}
+  feature_flags: d.feature_flags || {},
+  rule: d.rule || null,
+  override: d.override || null,
+  review: d.review || null,
+  ensemble: d.ensemble || null,
+  second_opinion: d.second_opinion || null,
+  label: d.label || null
 });
 
+// Thumbs-down means "should not have notified" on a sent decision and "should have" on a refusal.
+const LABEL_VERDICTS = ['correct', 'false_positive', 'false_negative'];
+const MAX_LABEL_REASON_CHARS = 500;
+
+const validateLabel = (decision, { verdict, reason } = {}) => {
+  if (!LABEL_VERDICTS.includes(verdict)) return `verdict must be one of ${LABEL_VERDICTS.join(', ')}`;
+  if (verdict === 'false_positive' && !decision.notify) return 'false_positive only applies to notified decisions';
+  if (verdict === 'false_negative' && decision.notify) return 'false_negative only applies to refused decisions';
+  if (reason !== undefined && typeof reason !== 'string') return 'reason must be a string';
+  return null;
+};
+
 const buildRefusalAnalytics = (decisions, filters = {}) => {
   const hours = parseTimeWindowHours(filters);
   const filtered = filterRefusals(decisions, { ...filters, hours });
@@ -1117,6 +2003,64 @@ const parseJsonFromText = (text) => {
   }
 };
 
+const SMS_MAX_REPLY_CHARS = 1500;
+
+// Replies answer the newest decision SMS, since SMS has no threading to tie them to a specific one.
+const latestSmsSend = (ctx) =>
+  [...ctx.stateManager.getState().recent_sends]
+    .reverse()
+    .find((s) => s.notification_provider === 'twilio' && s.status === 'sent' && s.decision_id);
+
+const samePhoneNumber = (a, b) => String(a || '').replace(/[^\d+]/g, '') === String(b || '').replace(/[^\d+]/g, '');
+
+const fullBodyFor = async (ctx, send) => {
+  try {
+    const parsed = await parseRawEmail(await fetchRawMessage(ctx.gmailClient, send.decision_id));
+    return parsed.body_text;
+  } catch (err) {
+    logEvent('SMS_COMMAND', { action: 'more', fetch: 'fail', id: send.decision_id, error: err.message });
+    const decision = ctx.stateManager.getState().recent_decisions.find((d) => d.id === send.decision_id);
+    return decision?.message_packet?.body || send.sms_preview || '';
+  }
+};
+
+const applySmsCommand = async (ctx, { action, arg }, send) => {
+  if (action === 'help') return SMS_COMMAND_HELP;
+  if (action === 'snooze') {
+    const durationMs = arg ? parseDuration(arg) : 60 * 60 * 1000;
+    if (!durationMs) return `Could not parse "${arg}". Try SNOOZE 30m, 2h or 1d.`;
+    const until = Date.now() + durationMs;
+    ctx.stateManager.setSnoozeUntil(until);
+    return `Snoozed until ${new Date(until).toISOString()}. Held notifications are summarized afterwards.`;
+  }
+  if (action === 'unmute' && arg) {
+    const key = muteTargetFor(arg, '');
+    return ctx.stateManager.unmuteSender(key) ? `Unmuted ${key}.` : `${key} was not muted.`;
+  }
+  if (!send) return 'No recent notification to apply that to.';
+  if (action === 'mute') {
+    const key = muteTargetFor(arg, send.from);
+    if (!key) return 'Could not tell which sender to mute.';
+    ctx.stateManager.muteSender(key, { source: 'sms', decision_id: send.decision_id });
+    return `Muted ${key}. Reply UNMUTE ${key} to undo.`;
+  }
+  if (action === 'unmute') {
+    const key = muteTargetFor('', send.from);
+    return ctx.stateManager.unmuteSender(key) ? `Unmuted ${key}.` : `${key} was not muted.`;
+  }
+  if (action === 'more') {
+    const body = (await fullBodyFor(ctx, send)).trim();
+    return `${send.subject || 'No subject'}\n${body}`.slice(0, SMS_MAX_REPLY_CHARS);
+  }
+  // action === 'wrong'
+  const labelled = ctx.stateManager.labelDecision(send.decision_id, {
+    verdict: 'false_positive',
+    reason: arg,
+    source: 'sms'
+  });
+  return labelled ? `Marked "${send.subject || send.decision_id}" as a false positive.` : 'That decision is no longer in history.';
+};
+
 const startServer = (ctx) => {
   const app = express();
   app.use(express.json());
@@ -1136,6 +2080,157 @@ const startServer = (ctx) => {
     res.json(buildStatusSnapshot(ctx));
   });
 
+  app.get('/api/webhooks/deliveries', (req, res) => {
+    const deliveries = ctx.stateManager.getState().webhook_deliveries || [];
+    const url = req.query?.url;
+    const limit = clampNumber(req.query?.limit, 1, 500, 100);
+    const filtered = url ? deliveries.filter((d) => d.url === url) : deliveries;
+    const endpoints = {};
+    filtered.forEach((d) => {
+      const entry = (endpoints[d.url] ||= { delivered: 0, failed_attempts: 0, last_ok_at: 0, last_error: '' });
+      if (d.ok) {
+        entry.delivered += 1;
+        entry.last_ok_at = d.at;
+      } else {
+        entry.failed_attempts += 1;
+        entry.last_error = d.error || `HTTP ${d.status}`;
+      }
+    });
+    res.json({ endpoints, deliveries: filtered.slice(-limit).reverse() });
+  });
+
+  // Twilio posts inbound SMS replies here (form-encoded). TWILIO_WEBHOOK_URL must be the exact
+  // public URL configured in Twilio, since the signature covers it.
+  app.post('/api/twilio/inbound', express.urlencoded({ extended: false }), async (req, res) => {
+    const params = req.body || {};
+    const url = ctx.config.twilioWebhookUrl || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    const valid = isValidTwilioSignature({
+      authToken: ctx.config.twilioAuthToken,
+      signature: req.get('X-Twilio-Signature'),
+      url,
+      params
+    });
+    if (!valid) {
+      logEvent('SMS_COMMAND', { event: 'reject', reason: 'bad_signature', from: params.From });
+      return res.status(403).type('text/plain').send('Invalid Twilio signature');
+    }
+    if (!samePhoneNumber(params.From, ctx.config.twilioTo)) {
+      logEvent('SMS_COMMAND', { event: 'reject', reason: 'unknown_number', from: params.From });
+      return res.status(403).type('text/plain').send('Unknown sender');
+    }
+
+    const command = parseSmsCommand(params.Body);
+    try {
+      const send = latestSmsSend(ctx);
+      const reply = await applySmsCommand(ctx, command, send);
+      if (send && command.action !== 'help') {
+        ctx.stateManager.recordSendReply(send, { command: command.action, arg: command.arg, message_sid: params.MessageSid });
+      }
+      logEvent('SMS_COMMAND', { action: command.action, arg: command.arg || undefined, decision_id: send?.decision_id });
+      await ctx.stateManager.save();
+      res.type('text/xml').send(buildTwimlReply(reply));
+    } catch (err) {
+      logEvent('SMS_COMMAND', { action: command.action, status: 'fail', error: err.message });
+      res.status(500).type('text/plain').send('Failed to apply command');
+    }
+  });
+
+  const findDecision = (id) => ctx.stateManager.getState().recent_decisions.find((d) => d.id === id);
+
+  app.get('/api/decisions/:id/label', (req, res) => {
+    const decision = findDecision(req.params.id);
+    if (!decision) return res.status(404).json({ ok: false, error: 'Decision not found' });
+    res.json({ ok: true, id: decision.id, notify: !!decision.notify, label: decision.label || null });
+  });
+
+  app.post('/api/decisions/:id/label', async (req, res) => {
+    const decision = findDecision(req.params.id);
+    if (!decision) return res.status(404).json({ ok: false, error: 'Decision not found' });
+    const body = req.body || {};
+    const error = validateLabel(decision, body);
+    if (error) return res.status(400).json({ ok: false, error });
+    const updated = ctx.stateManager.labelDecision(decision.id, {
+      verdict: body.verdict,
+      reason: (body.reason || '').trim().slice(0, MAX_LABEL_REASON_CHARS),
+      source: 'dashboard'
+    });
+    logEvent('LABEL', { id: decision.id, verdict: body.verdict });
+    await ctx.stateManager.save();
+    res.json({ ok: true, id: decision.id, label: updated.label });
+  });
+
+  app.delete('/api/decisions/:id/label', async (req, res) => {
+    const decision = findDecision(req.params.id);
+    if (!decision) return res.status(404).json({ ok: false, error: 'Decision not found' });
+    ctx.stateManager.labelDecision(decision.id, null);
+    await ctx.stateManager.save();
+    res.json({ ok: true, id: decision.id, label: null });
+  });
+
+  app.get('/api/sender-rules', (req, res) => {
+    try {
+      res.json({ ok: true, path: ctx.config.senderRulesPath, rules: readSenderRulesFile(ctx.config.senderRulesPath) });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  app.put('/api/sender-rules', async (req, res) => {
+    try {
+      const rules = await saveSenderRules(ctx.config.senderRulesPath, req.body);
+      logEvent('RULES', { saved: rules.length, path: ctx.config.senderRulesPath });
+      res.json({ ok: true, count: rules.length });
+    } catch (err) {
+      res.status(400).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Labelled decisions in the prompt-tuning notified/ and notnotified/ file format.
+  app.get('/api/tuning-dataset', async (req, res) => {
+    const decisions = ctx.stateManager.getState().recent_decisions || [];
+    const { records, skipped } = await exportTuningDataset(decisions, {
+      loadEmail: (decision) =>
+        fetchTrimmedEmail(ctx.gmailClient, decision.id, { maxBodyChars: ctx.config.maxEmailBodyChars })
+    });
+    const counts = { TP: 0, FP: 0, TN: 0, FN: 0 };
+    records.forEach(({ record }) => {
+      counts[record.label] += 1;
+    });
+    logEvent('TUNING_EXPORT', { exported: records.length, skipped: skipped.length || undefined });
+    res.json({
+      ok: true,
+      generated_at: Date.now(),
+      counts,
+      notified: records.filter((r) => r.folder === 'notified').map((r) => r.record),
+      notnotified: records.filter((r) => r.folder === 'notnotified').map((r) => r.record),
+      skipped
+    });
+  });
+
+  app.post('/api/review/:id/approve', async (req, res) => {
+    const channels = await approveReview(ctx, req.params.id);
+    if (channels === null) return res.status(404).json({ ok: false, error: 'Review item not found' });
+    res.json({ ok: true, channels });
+  });
+
+  app.post('/api/review/:id/dismiss', async (req, res) => {
+    if (!(await dismissReview(ctx, req.params.id))) {
+      return res.status(404).json({ ok: false, error: 'Review item not found' });
+    }
+    res.json({ ok: true });
+  });
+
+  app.post('/api/dead-letters/:id/resend', async (req, res) => {
+    const result = await resendDeadLetter(ctx, req.params.id);
+    if (!result) {
+      return res.status(404).json({ ok: false, error: 'Dead letter not found' });
+    }
+    if (!result.ok) {
+      return res.status(502).json({ ok: false, error: result.error });
+    }
+    res.json({ ok: true, notification_id: result.sendResult.id });
+  });
+
   app.get('/api/analytics/refusals', (req, res) => {
     const current = ctx.stateManager.getState();
     const decisions = current.recent_decisions || [];
@@ -1556,6 +2651,7 @@ const startServer = (ctx) => {
 
 export const startApp = async (overrides = {}) => {
   const config = { ...buildConfig(), ...(overrides.configOverrides || {}) };
+  validateQuietHours(config);
 
   const gmailClient =
     overrides.gmailClient ||
@@ -1572,9 +2668,6 @@ export const startApp = async (overrides = {}) => {
       authToken: config.twilioAuthToken
     });
 
-  const pushoverSender = overrides.pushoverSender || sendPushover;
-  const pushoverValidator = overrides.pushoverValidator || checkPushoverCredentials;
-
   const stateManager =
     overrides.stateManager ||
     createStateManager({
@@ -1583,6 +2676,21 @@ export const startApp = async (overrides = {}) => {
       recentLimit: config.recentLimit
     });
 
+  const notifierDeps = {
+    config,
+    stateManager,
+    twilioClient,
+    pushoverSender: overrides.pushoverSender,
+    pushoverValidator: overrides.pushoverValidator,
+    smtpTransport: overrides.smtpTransport,
+    ntfySender: overrides.ntfySender,
+    ntfyValidator: overrides.ntfyValidator
+  };
+  const notificationChannels = parseNotificationServices(config.notificationService).map((name) => ({
+    name,
+    notifier: createNotifier(name, notifierDeps)
+  }));
+
   // Initialize GPU monitor (returns null in test mode or unsupported platforms)
   const gpuMonitor = overrides.gpuMonitor !== undefined
     ? overrides.gpuMonitor
@@ -1595,16 +2703,17 @@ export const startApp = async (overrides = {}) => {
   const ctx = {
     config,
     gmailClient,
-    twilioClient,
-    pushoverSender,
-    pushoverValidator,
+    notificationChannels,
     stateManager,
     gpuMonitor,
     llmQueue: null,
+    llmBreaker: { open: false, failures: 0, opened_at: 0, probed_at: 0 },
     outageAlertInFlight: null,
     callLLM: overrides.llmCaller || callLLM,
     llmHealthCheck: overrides.llmHealthChecker || healthCheckLLM,
     onDecision: overrides.onDecision,
+    fetchPushoverReceipt: overrides.pushoverReceiptFetcher || fetchPushoverReceipt,
+    lastReceiptPollAt: 0,
     pollLock: false,
     pollTimer: null,
     gmailSummary: createGmailSummaryTracker(config.gmailSummaryIntervalMin),
@@ -1614,14 +2723,20 @@ export const startApp = async (overrides = {}) => {
   const llmQueue = createLlmQueue({
     maxConcurrency: config.maxLlmConcurrency,
     maxQueue: config.maxLlmQueue,
-    processFn: ({ messageMeta }) => processSingleMessage(ctx, messageMeta),
+    processFn: ({ messageMeta, loaded, enqueued_at: enqueuedAt }) =>
+      processSingleMessage(ctx, messageMeta, loaded, { enqueuedAt }),
     onDrop: ({ id }) => {
       const reason = 'Dropped due to LLM queue overflow';
       ctx.stateManager.incrementLLMQueueDropped(id || '');
       if (id) ctx.stateManager.markProcessed(id, 'dropped', reason);
       ctx.stateManager.save().catch((err) => log('Queue drop save failed', err.message));
     },
-    onStats: (stats) => ctx.stateManager.setLLMQueueStats(stats)
+    onStats: (stats) => {
+      ctx.stateManager.setLLMQueueStats(stats);
+      ctx.stateManager.setLLMQueueTasks(
+        llmQueue.tasks().map((task) => ({ id: task.id, thread_id: task.messageMeta?.threadId, enqueued_at: task.enqueued_at }))
+      );
+    }
   });
   ctx.llmQueue = llmQueue;
 
@@ -1629,17 +2744,12 @@ export const startApp = async (overrides = {}) => {
   await stateManager.load();
   ctx.stateManager.setLLMQueueStats(llmQueue.stats());
 
-  if (!overrides.skipTwilioStartupCheck && config.notificationService === 'twilio') {
-    await twilioStartupCheck(ctx);
-  } else if (!overrides.skipTwilioStartupCheck && config.notificationService === 'pushover') {
-    await pushoverStartupCheck(ctx);
-  } else if (!overrides.skipTwilioStartupCheck) {
-    const msg = `Notification service not recognized: ${config.notificationService}`;
-    ctx.stateManager.setTwilioError(msg);
-    ctx.stateManager.setPushoverError(msg);
-    await ctx.stateManager.save();
+  if (!overrides.skipTwilioStartupCheck) {
+    await notifierStartupCheck(ctx);
   }
 
+  restoreLLMQueue(ctx);
+
   let app = null;
   let server = null;
   if (overrides.startServer !== false) {
@@ -1674,6 +2784,16 @@ export const startApp = async (overrides = {}) => {
       await pollGmail(ctx);
       await ctx.llmQueue.whenIdle();
     },
+    flushDeferred: () => flushDeferredNotifications(ctx),
+    flushDigest: () => flushDigest(ctx),
+    flushSuppressed: () => flushSuppressed(ctx),
+    flushThreadUpdates: () => flushThreadUpdates(ctx),
+    pollReceipts: () => pollPushoverReceipts(ctx, { force: true }),
+    retryNotifications: () => processNotificationRetries(ctx),
+    retryLLM: async () => {
+      await retryLLMFailures(ctx, { force: true });
+      await ctx.llmQueue.whenIdle();
+    },
     getStatus: () => buildStatusSnapshot(ctx)
   };
 };
@@ -0,0 +1,44 @@
+import axios from 'axios';
+
+const baseFor = (baseUrl) => baseUrl.replace(/\/+$/, '');
+const authHeaders = (apiKey) => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+
+// GBNF for the decision object, fields in the same order as the system prompt's schema.
+// Lengths are not expressible here; validation in callLLM checks them.
+export const DECISION_GRAMMAR = String.raw`root ::= "{" ws "\"message_packet\"" ws ":" ws packet "," ws "\"confidence\"" ws ":" ws confidence "," ws "\"reason\"" ws ":" ws string "," ws "\"double_check\"" ws ":" ws string "," ws "\"notify\"" ws ":" ws boolean ws "}"
+packet ::= "{" ws "\"title\"" ws ":" ws string "," ws "\"body\"" ws ":" ws string "," ws "\"urgency\"" ws ":" ws urgency ws "}"
+urgency ::= "\"low\"" | "\"normal\"" | "\"high\""
+confidence ::= ("0" ("." [0-9]+)?) | ("1" ("." "0"+)?)
+boolean ::= "true" | "false"
+string ::= "\"" ([^"\\\x7F\x00-\x1F] | "\\" (["\\/bfnrt] | "u" [0-9a-fA-F] [0-9a-fA-F] [0-9a-fA-F] [0-9a-fA-F]))* "\""
+ws ::= [ \t\n]*`;
+
+// llama.cpp server's native /completion. The chat messages are rendered with the model's own chat
+// template via /apply-template, and unless LLM_STRUCTURED_OUTPUT=off the grammar constrains
+// sampling. Usage comes from timings.prompt_n + timings.predicted_n.
+export const llamaCppChat = async ({ baseUrl, apiKey, messages, temperature, maxOutputTokens, timeoutMs, structuredOutput }) => {
+  const base = baseFor(baseUrl);
+  const options = { headers: authHeaders(apiKey), timeout: timeoutMs };
+  const rendered = await axios.post(`${base}/apply-template`, { messages }, options);
+  const useGrammar = structuredOutput !== 'off';
+  const payload = {
+    prompt: rendered.data?.prompt,
+    temperature,
+    n_predict: maxOutputTokens,
+    cache_prompt: true
+  };
+  if (useGrammar) payload.grammar = DECISION_GRAMMAR;
+  const response = await axios.post(`${base}/completion`, payload, options);
+  const data = response.data || {};
+  const totalTokens =
+    (data.timings?.prompt_n ?? data.tokens_evaluated ?? 0) + (data.timings?.predicted_n ?? data.tokens_predicted ?? 0);
+  return {
+    content: data.content,
+    totalTokens: totalTokens || undefined,
+    outputMode: useGrammar ? 'grammar' : 'prompt'
+  };
+};
+
+// /health answers 503 while the model is still loading, which axios treats as a failure.
+export const llamaCppHealth = ({ baseUrl, apiKey, timeoutMs }) =>
+  axios.get(`${baseFor(baseUrl)}/health`, { headers: authHeaders(apiKey), timeout: timeoutMs });
@@ -1,5 +1,7 @@
 import axios from 'axios';
 import fs from 'fs';
+import { ollamaChat, ollamaHealth } from './ollama.js';
+import { llamaCppChat, llamaCppHealth } from './llamacpp.js';
 
 const DEFAULT_SYSTEM_PROMPT = `You are a strict JSON generator for triaging emails. Output ONLY valid JSON with NO markdown, NO code fences, NO extra text.
 Schema:
@@ -29,11 +31,13 @@ export const getSystemPrompt = (promptPath) => {
   return DEFAULT_SYSTEM_PROMPT;
 };
 
-const buildUserPrompt = (emailObj, maxSmsChars) => {
+const buildUserPrompt = (emailObj, maxSmsChars, context) => {
   const emailJson = JSON.stringify(emailObj, null, 2);
+  // Context comes from the user's own sender rules, so it sits outside the (untrusted) email JSON.
+  const contextBlock = context ? `\nContext from my sender rules: ${context}\n` : '';
   return `Email to classify (raw JSON):
 ${emailJson}
-
+${contextBlock}
 MAX_SMS_CHARS value: ${maxSmsChars}
 Return ONLY the JSON result following the schema.`;
 };
@@ -74,6 +78,75 @@ export const parseLLMJson = (content) => {
   throw new Error(`Invalid JSON from LLM: ${firstError ? firstError.message : 'no JSON object found'}`);
 };
 
+const URGENCIES = ['low', 'normal', 'high'];
+const MAX_TITLE_CHARS = 80;
+
+// Checks a parsed response against the schema in the system prompt; returns a list of problems.
+export const validateLLMResponse = (parsed, { maxSmsChars } = {}) => {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return ['response must be a JSON object'];
+  const errors = [];
+  if (typeof parsed.notify !== 'boolean') errors.push('notify must be true or false (a JSON boolean)');
+  if (typeof parsed.confidence !== 'number' || !(parsed.confidence >= 0 && parsed.confidence <= 1)) {
+    errors.push('confidence must be a number from 0 to 1');
+  }
+  if (typeof parsed.reason !== 'string' || !parsed.reason.trim()) errors.push('reason must be a non-empty string');
+  const packet = parsed.message_packet;
+  if (!packet || typeof packet !== 'object' || Array.isArray(packet)) {
+    errors.push('message_packet must be an object with title, body and urgency');
+    return errors;
+  }
+  if (typeof packet.title !== 'string' || !packet.title.trim()) {
+    errors.push('message_packet.title must be a non-empty string');
+  } else if (packet.title.length > MAX_TITLE_CHARS) {
+    errors.push(`message_packet.title must be at most ${MAX_TITLE_CHARS} chars (got ${packet.title.length})`);
+  }
+  if (typeof packet.body !== 'string') {
+    errors.push('message_packet.body must be a string');
+  } else if (maxSmsChars && packet.body.length > maxSmsChars) {
+    errors.push(`message_packet.body must be at most ${maxSmsChars} chars (got ${packet.body.length})`);
+  }
+  if (!URGENCIES.includes(packet.urgency)) errors.push(`message_packet.urgency must be one of ${URGENCIES.join(', ')}`);
+  return errors;
+};
+
+// Cuts an over-long title and body down to their limits; everything else is left as it is.
+const fitMessagePacket = (parsed, { maxSmsChars } = {}) => {
+  const packet = parsed?.message_packet;
+  if (!packet || typeof packet !== 'object' || Array.isArray(packet)) return parsed;
+  const fitted = { ...packet };
+  if (typeof fitted.title === 'string') fitted.title = fitted.title.slice(0, MAX_TITLE_CHARS);
+  if (typeof fitted.body === 'string' && maxSmsChars) fitted.body = fitted.body.slice(0, maxSmsChars);
+  return { ...parsed, message_packet: fitted };
+};
+
+// The same schema as the system prompt, for servers that can constrain decoding to it.
+// Field order matches the prompt so the reasoning fields are generated before `notify`.
+export const decisionJsonSchema = (maxSmsChars) => ({
+  type: 'object',
+  properties: {
+    message_packet: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', maxLength: MAX_TITLE_CHARS },
+        body: maxSmsChars ? { type: 'string', maxLength: maxSmsChars } : { type: 'string' },
+        urgency: { type: 'string', enum: URGENCIES }
+      },
+      required: ['title', 'body', 'urgency'],
+      additionalProperties: false
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reason: { type: 'string' },
+    double_check: { type: 'string' },
+    notify: { type: 'boolean' }
+  },
+  required: ['message_packet', 'confidence', 'reason', 'double_check', 'notify'],
+  additionalProperties: false
+});
+
+const buildRepairPrompt = (errors) => `Your previous response did not match the schema:
+${errors.map((e) => `- ${e}`).join('\n')}
+Return ONLY the corrected JSON result following the schema.`;
+
 const buildTimeContext = () => {
   const now = new Date();
   const tz = process.env.LOG_TIMEZONE || 'UTC';
@@ -94,6 +167,103 @@ const buildTimeContext = () => {
   return `Current date/time: ${formatted} (${timeOfDay})`;
 };
 
+// Statuses with which servers turn down an unsupported `response_format`.
+const SCHEMA_REJECTED_STATUSES = [400, 404, 415, 422, 501];
+// `${url}|${model}` -> whether that endpoint accepted json_schema, so `auto` only probes each
+// endpoint (primary, second opinion, ensemble members) once.
+const structuredOutputSupport = new Map();
+
+// Only an error that names the feature means "unsupported"; other 4xx (e.g. a context-length
+// 400) are about this request and must not turn structured output off for good.
+const isSchemaRejection = (err) => {
+  if (!SCHEMA_REJECTED_STATUSES.includes(err.response?.status)) return false;
+  const data = err.response.data;
+  const body = typeof data === 'string' ? data : JSON.stringify(data ?? '');
+  return /response_format|json_schema/i.test(body);
+};
+
+// Socket and DNS error codes axios passes through when the server cannot be reached or stops
+// answering (ECONNABORTED is axios' own timeout).
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ERR_NETWORK'
+]);
+
+// True for failures that say nothing about the email: the server could not be reached, timed out
+// or answered 5xx. Invalid JSON, failed validation and refusals would fail the same way again.
+// An error may decide for itself with a boolean `transient` (e.g. an ensemble where all members failed).
+export const isTransientLLMError = (err) => {
+  if (typeof err?.transient === 'boolean') return err.transient;
+  const status = err?.response?.status;
+  if (status) return status >= 500;
+  return TRANSIENT_ERROR_CODES.has(err?.code);
+};
+
+const authHeaders = (apiKey) => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+
+// OpenAI-compatible /v1/chat/completions (LM Studio, vLLM, llama.cpp's OpenAI endpoint, ...).
+// `on` always sends the schema as response_format; `auto` drops it (for this server and model)
+// the first time the server rejects it and carries on with prompt-only JSON.
+const openaiChat = async ({ baseUrl, apiKey, model, messages, temperature, maxOutputTokens, timeoutMs, maxSmsChars, structuredOutput }) => {
+  const url = `${baseUrl.replace(/\/+$/, '')}/v1/chat/completions`;
+  const payload = { model, temperature, max_tokens: maxOutputTokens, messages };
+  const options = { headers: authHeaders(apiKey), timeout: timeoutMs };
+  const supportKey = `${url}|${model}`;
+  let useSchema =
+    structuredOutput === 'on' || (structuredOutput === 'auto' && structuredOutputSupport.get(supportKey) !== false);
+  let response;
+  if (useSchema) {
+    const responseFormat = {
+      type: 'json_schema',
+      json_schema: { name: 'email_decision', strict: true, schema: decisionJsonSchema(maxSmsChars) }
+    };
+    try {
+      response = await axios.post(url, { ...payload, response_format: responseFormat }, options);
+      structuredOutputSupport.set(supportKey, true);
+    } catch (err) {
+      if (structuredOutput !== 'auto' || !isSchemaRejection(err)) throw err;
+      console.error(`[LLM] ${baseUrl} rejected response_format json_schema for ${model} (HTTP ${err.response.status}), using prompt-only JSON`);
+      structuredOutputSupport.set(supportKey, false);
+      useSchema = false;
+    }
+  }
+  if (!response) response = await axios.post(url, payload, options);
+  return {
+    content: response.data?.choices?.[0]?.message?.content,
+    totalTokens: response.data?.usage?.total_tokens,
+    outputMode: useSchema ? 'json_schema' : 'prompt'
+  };
+};
+
+const openaiHealth = ({ baseUrl, apiKey, timeoutMs }) =>
+  axios.get(`${baseUrl.replace(/\/+$/, '')}/v1/models`, { headers: authHeaders(apiKey), timeout: timeoutMs });
+
+// An LLM provider is { chat(request), health({ baseUrl, apiKey, timeoutMs }) }. chat receives
+// { baseUrl, apiKey, model, messages, temperature, maxOutputTokens, timeoutMs, maxSmsChars,
+// structuredOutput, keepAlive } and resolves to { content, totalTokens, outputMode }; health
+// rejects when the server is unreachable. Selected by LLM_PROVIDER.
+const providers = new Map([
+  ['openai', { chat: openaiChat, health: openaiHealth }],
+  ['ollama', { chat: ollamaChat, health: ollamaHealth }],
+  ['llamacpp', { chat: llamaCppChat, health: llamaCppHealth }]
+]);
+
+export const listLLMProviders = () => Array.from(providers.keys());
+
+const providerFor = (name) => {
+  const provider = providers.get(String(name || 'openai').toLowerCase());
+  if (!provider) throw new Error(`Unknown LLM provider ${name} (expected ${listLLMProviders().join(', ')})`);
+  return provider;
+};
+
 export const callLLM = async ({
   llmBaseUrl,
   apiKey,
@@ -103,59 +273,89 @@ export const callLLM = async ({
   timeoutMs,
   emailObj,
   maxSmsChars,
-  systemPromptPath
+  systemPromptPath,
+  context,
+  repairAttempts = 0,
+  onInvalid,
+  structuredOutput = 'off',
+  provider = 'openai',
+  keepAlive
 }) => {
-  const url = `${llmBaseUrl.replace(/\/+$/, '')}/v1/chat/completions`;
+  const { chat } = providerFor(provider);
   const basePrompt = getSystemPrompt(systemPromptPath);
   const systemPrompt = `${buildTimeContext()}\n\n${basePrompt}`;
-  const messages = [
+  let messages = [
     { role: 'system', content: systemPrompt },
-    { role: 'user', content: buildUserPrompt(emailObj, maxSmsChars) }
+    { role: 'user', content: buildUserPrompt(emailObj, maxSmsChars, context) }
   ];
-  const payload = {
-    model,
-    temperature,
-    max_tokens: maxOutputTokens,
-    messages
-  };
-  const headers = {};
-  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
 
-  const start = Date.now();
-  const response = await axios.post(url, payload, {
-    headers,
-    timeout: timeoutMs
-  });
-  const latencyMs = Date.now() - start;
-  const choice = response.data?.choices?.[0];
-  if (!choice?.message?.content) {
-    throw new Error('LLM response missing content');
-  }
-  const content = choice.message.content.trim();
-  const parsed = parseLLMJson(content);
+  // An unparseable or off-schema answer is sent back with the problems listed, up to
+  // `repairAttempts` times; `onInvalid(errors)` is told about every rejected answer.
+  let tokens = 0;
+  let latencyMs = 0;
+  for (let attempt = 0; ; attempt += 1) {
+    const start = Date.now();
+    const reply = await chat({
+      baseUrl: llmBaseUrl,
+      apiKey,
+      model,
+      messages,
+      temperature,
+      maxOutputTokens,
+      timeoutMs,
+      maxSmsChars,
+      structuredOutput,
+      keepAlive
+    });
+    latencyMs += Date.now() - start;
+    if (!reply.content || typeof reply.content !== 'string') {
+      throw new Error('LLM response missing content');
+    }
+    const content = reply.content.trim();
 
-  const usage = response.data?.usage;
-  const inputChars = JSON.stringify(payload)?.length || 0;
-  const outputChars = content.length;
-  const tokens = usage?.total_tokens
-    ? usage.total_tokens
-    : Math.ceil((inputChars + outputChars) / 4);
+    const inputChars = JSON.stringify(messages).length;
+    const outputChars = content.length;
+    tokens += reply.totalTokens
+      ? reply.totalTokens
+      : Math.ceil((inputChars + outputChars) / 4);
 
-  return {
-    content,
-    parsed,
-    tokens,
-    latencyMs
-  };
+    let parsed;
+    let errors;
+    try {
+      parsed = parseLLMJson(content);
+      errors = validateLLMResponse(parsed, { maxSmsChars });
+    } catch (err) {
+      errors = [err.message];
+    }
+    const answer = (decision) => ({
+      content,
+      parsed: decision,
+      tokens,
+      latencyMs,
+      repairs: attempt,
+      outputMode: reply.outputMode
+    });
+    if (!errors.length) return answer(parsed);
+    if (onInvalid) onInvalid(errors);
+    if (attempt >= repairAttempts) {
+      // Out of repairs: a title or body that is only too long is cut to fit (the SMS is sliced
+      // anyway) rather than losing the verdict; missing fields, wrong types and bad enums still fail.
+      const fitted = parsed && fitMessagePacket(parsed, { maxSmsChars });
+      if (fitted && !validateLLMResponse(fitted, { maxSmsChars }).length) return answer(fitted);
+      throw new Error(`LLM response failed validation: ${errors.join('; ')}`);
+    }
+    messages = [
+      ...messages,
+      { role: 'assistant', content },
+      { role: 'user', content: buildRepairPrompt(errors) }
+    ];
+  }
 };
 
-export const healthCheckLLM = async ({ llmBaseUrl, apiKey, timeoutMs }) => {
-  const url = `${llmBaseUrl.replace(/\/+$/, '')}/v1/models`;
-  const headers = {};
-  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+export const healthCheckLLM = async ({ llmBaseUrl, apiKey, timeoutMs, provider = 'openai' }) => {
   const start = Date.now();
   try {
-    await axios.get(url, { headers, timeout: timeoutMs });
+    await providerFor(provider).health({ baseUrl: llmBaseUrl, apiKey, timeoutMs });
     const latencyMs = Date.now() - start;
     return { ok: true, latencyMs };
   } catch (err) {
@@ -0,0 +1,32 @@
+import { createTwilioNotifier } from './twilio.js';
+import { createPushoverNotifier } from './pushover.js';
+import { createWebhookNotifier } from './webhook.js';
+import { createSmtpNotifier } from './smtp.js';
+import { createNtfyNotifier } from './ntfy.js';
+
+// A notifier is { name, tag, target(), check(), send(payload) } where payload is
+// { title, message, urgency, kind, options } plus `decision` (kind=decision) or `items` (kind=digest).
+// send resolves to { id, fields, logFields }: `fields` are merged into the recent_sends
+// record and `logFields` into the log line. Factories receive the app deps bag
+// ({ config, stateManager, twilioClient, pushoverSender, smtpTransport, ... }) and pick what they need.
+// Decision payloads also carry `attempt` (1 for the first send). A failed send may reject with an
+// error carrying `retryOptions` (merged into `options` for the queued retry, e.g. only the webhook
+// endpoints that failed) or `retryable: false` (dead-lettered without further attempts).
+const registry = new Map([
+  ['twilio', createTwilioNotifier],
+  ['pushover', createPushoverNotifier],
+  ['webhook', createWebhookNotifier],
+  ['smtp', createSmtpNotifier],
+  ['ntfy', createNtfyNotifier]
+]);
+
+export const registerNotifier = (name, factory) => {
+  registry.set(String(name).toLowerCase(), factory);
+};
+
+export const listNotifiers = () => Array.from(registry.keys());
+
+export const createNotifier = (name, deps = {}) => {
+  const factory = registry.get(String(name || '').toLowerCase());
+  return factory ? factory(deps) : null;
+};
@@ -0,0 +1,98 @@
+import axios from 'axios';
+
+// ntfy priorities: 1=min, 2=low, 3=default, 4=high, 5=urgent.
+const URGENCY_PRIORITY = { low: 2, normal: 3, high: 5 };
+
+export const priorityForUrgency = (urgency) => URGENCY_PRIORITY[String(urgency || 'normal').toLowerCase()] || 3;
+
+const authHeaders = (token) => (token ? { Authorization: `Bearer ${token}` } : {});
+
+// NTFY_URL is the topic URL; the JSON publish API takes the topic in the body and is posted to
+// the server URL in front of it (which may include a path prefix).
+export const splitTopicUrl = (topicUrl) => {
+  const trimmed = String(topicUrl || '').replace(/\/+$/, '');
+  const idx = trimmed.lastIndexOf('/');
+  return { baseUrl: trimmed.slice(0, idx), topic: trimmed.slice(idx + 1) };
+};
+
+const toTagList = (tags) =>
+  (Array.isArray(tags) ? tags : String(tags || '').split(','))
+    .map((t) => String(t).trim())
+    .filter(Boolean);
+
+// Publishes through the JSON body API rather than headers, so titles with accents, emoji or CJK
+// characters go through unchanged (HTTP header values must be Latin-1).
+export const sendNtfy = async ({
+  topicUrl,
+  token,
+  title,
+  message,
+  priority = 3,
+  click,
+  tags,
+  httpClient = axios,
+  dryRun = false
+}) => {
+  if (dryRun) {
+    return { id: 'DRY_RUN', status: 'dry_run' };
+  }
+  if (!topicUrl) {
+    throw new Error('Missing NTFY_URL');
+  }
+  const { baseUrl, topic } = splitTopicUrl(topicUrl);
+  const body = { topic, title: String(title || '').replace(/\s+/g, ' '), message, priority: Number(priority) };
+  if (click) body.click = click;
+  const tagList = toTagList(tags);
+  if (tagList.length) body.tags = tagList;
+
+  const res = await httpClient.post(baseUrl, body, {
+    headers: { ...authHeaders(token), 'Content-Type': 'application/json' },
+    timeout: 15000
+  });
+  const data = res.data || {};
+  return { id: data.id || '', status: 'sent' };
+};
+
+export const checkNtfyCredentials = async ({ topicUrl, token, httpClient = axios }) => {
+  if (!topicUrl) return { ok: false, error: 'Missing NTFY_URL' };
+  try {
+    // GET <topic>/auth succeeds only when the token (or anonymous access) may use the topic.
+    await httpClient.get(`${topicUrl.replace(/\/+$/, '')}/auth`, { headers: authHeaders(token), timeout: 10000 });
+    return { ok: true };
+  } catch (err) {
+    const msg = err.response?.data?.error || err.message || 'ntfy validation failed';
+    return { ok: false, error: msg };
+  }
+};
+
+// Outage alerts always go out as urgent; digests summarize already-screened mail.
+const KIND_PRIORITY = { outage: 5, digest: 3 };
+
+// On ntfy.sh the topic name is the only secret, so logs show the server host alone.
+const ntfyHost = (topicUrl) => {
+  try {
+    return new URL(topicUrl).host;
+  } catch (err) {
+    return '';
+  }
+};
+
+export const createNtfyNotifier = ({ config, ntfySender = sendNtfy, ntfyValidator = checkNtfyCredentials }) => ({
+  name: 'ntfy',
+  tag: 'NTFY',
+  target: () => ({ host: ntfyHost(config.ntfyUrl) }),
+  check: () => ntfyValidator({ topicUrl: config.ntfyUrl, token: config.ntfyToken }),
+  send: async ({ title, message, urgency, kind = 'decision', options = {}, decision }) => {
+    const res = await ntfySender({
+      topicUrl: config.ntfyUrl,
+      token: config.ntfyToken,
+      title,
+      message,
+      priority: options.priority ?? KIND_PRIORITY[kind] ?? priorityForUrgency(urgency),
+      click: options.click || decision?.gmail_link,
+      tags: options.tags,
+      dryRun: config.dryRun
+    });
+    return { id: res.id, fields: { ntfy_id: res.id }, logFields: { ntfy_id: res.id } };
+  }
+});
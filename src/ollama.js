@@ -0,0 +1,35 @@
+import axios from 'axios';
+
+const baseFor = (baseUrl) => baseUrl.replace(/\/+$/, '');
+const authHeaders = (apiKey) => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+
+// Ollama's native /api/chat. `format: "json"` makes Ollama constrain the output to JSON and
+// `keep_alive` (OLLAMA_KEEP_ALIVE, e.g. "30m" or -1) keeps the model loaded between polls.
+// Usage comes back as prompt_eval_count + eval_count.
+export const ollamaChat = async ({ baseUrl, apiKey, model, messages, temperature, maxOutputTokens, timeoutMs, keepAlive }) => {
+  const payload = {
+    model,
+    messages,
+    stream: false,
+    format: 'json',
+    options: { temperature, num_predict: maxOutputTokens }
+  };
+  // Bare numbers are seconds to Ollama (-1 = forever) and must be sent as JSON numbers.
+  if (keepAlive !== undefined && keepAlive !== '') {
+    payload.keep_alive = /^-?\d+$/.test(String(keepAlive)) ? Number(keepAlive) : keepAlive;
+  }
+  const response = await axios.post(`${baseFor(baseUrl)}/api/chat`, payload, {
+    headers: authHeaders(apiKey),
+    timeout: timeoutMs
+  });
+  const data = response.data || {};
+  const totalTokens = (data.prompt_eval_count || 0) + (data.eval_count || 0);
+  return {
+    content: data.message?.content,
+    totalTokens: totalTokens || undefined,
+    outputMode: 'json'
+  };
+};
+
+export const ollamaHealth = ({ baseUrl, apiKey, timeoutMs }) =>
+  axios.get(`${baseFor(baseUrl)}/api/tags`, { headers: authHeaders(apiKey), timeout: timeoutMs });
@@ -1,5 +1,10 @@
 import axios from 'axios';
 
+export const DEFAULT_PUSHOVER_API_URL = 'https://api.pushover.net';
+
+const pushoverEndpoint = (apiUrl, resource) =>
+  `${(apiUrl || DEFAULT_PUSHOVER_API_URL).replace(/\/+$/, '')}/1/${resource}`;
+
 export const sendPushover = async ({
   token,
   user,
@@ -8,7 +13,9 @@ export const sendPushover = async ({
   priority = 2,
   retry = 100,
   expire = 7 * 24 * 60 * 60,
+  sound,
   device,
+  apiUrl,
   httpClient = axios,
   dryRun = false
 }) => {
@@ -18,10 +25,13 @@ export const sendPushover = async ({
   if (!token || !user) {
     throw new Error('Missing Pushover credentials');
   }
-  const payload = { token, user, title, message, priority, retry, expire };
+  const payload = { token, user, title, message, priority };
+  // retry/expire are only meaningful for emergency priority (2).
+  if (priority === 2) Object.assign(payload, { retry, expire });
+  if (sound) payload.sound = sound;
   if (device) payload.device = device;
 
-  const res = await httpClient.post('https://api.pushover.net/1/messages.json', payload, {
+  const res = await httpClient.post(pushoverEndpoint(apiUrl, 'messages.json'), payload, {
     timeout: 15000
   });
   const data = res.data || {};
@@ -32,11 +42,11 @@ export const sendPushover = async ({
   return { receipt: data.receipt || data.request, status: 'sent' };
 };
 
-export const checkPushoverCredentials = async ({ token, user, device, httpClient = axios }) => {
+export const checkPushoverCredentials = async ({ token, user, device, apiUrl, httpClient = axios }) => {
   if (!token || !user) return { ok: false, error: 'Missing Pushover token/user' };
   try {
     await httpClient.post(
-      'https://api.pushover.net/1/users/validate.json',
+      pushoverEndpoint(apiUrl, 'users/validate.json'),
       { token, user, device },
       { timeout: 10000 }
     );
@@ -50,3 +60,75 @@ export const checkPushoverCredentials = async ({ token, user, device, httpClient
     return { ok: false, error: msg };
   }
 };
+
+// Status of an emergency-priority receipt; Pushover timestamps are unix seconds.
+export const fetchPushoverReceipt = async ({ token, receipt, apiUrl, httpClient = axios }) => {
+  if (!token) throw new Error('Missing Pushover credentials');
+  const res = await httpClient.get(pushoverEndpoint(apiUrl, `receipts/${encodeURIComponent(receipt)}.json`), {
+    params: { token },
+    timeout: 10000
+  });
+  const data = res.data || {};
+  if (data.status !== 1) {
+    throw new Error(Array.isArray(data.errors) ? data.errors.join(', ') : 'Pushover receipt lookup failed');
+  }
+  const ms = (seconds) => (seconds ? seconds * 1000 : 0);
+  return {
+    acknowledged: data.acknowledged === 1,
+    acknowledged_at: ms(data.acknowledged_at),
+    acknowledged_by_device: data.acknowledged_by_device || '',
+    last_delivered_at: ms(data.last_delivered_at),
+    expired: data.expired === 1,
+    expires_at: ms(data.expires_at),
+    called_back: data.called_back === 1,
+    called_back_at: ms(data.called_back_at)
+  };
+};
+
+// Emergency (priority 2) defaults; outage alerts re-notify faster and expire sooner.
+// Digests summarize already-screened mail, so they go out at normal priority.
+const PUSHOVER_DEFAULTS = {
+  decision: { priority: 2, retry: 100, expire: 7 * 24 * 60 * 60 },
+  outage: { priority: 2, retry: 60, expire: 60 * 60 },
+  digest: { priority: 0 }
+};
+
+export const createPushoverNotifier = ({
+  config,
+  pushoverSender = sendPushover,
+  pushoverValidator = checkPushoverCredentials
+}) => ({
+  name: 'pushover',
+  tag: 'PUSHOVER',
+  target: () => ({ to: config.pushoverUser, device: config.pushoverDevice }),
+  check: () =>
+    pushoverValidator({
+      token: config.pushoverToken,
+      user: config.pushoverUser,
+      device: config.pushoverDevice,
+      apiUrl: config.pushoverApiUrl
+    }),
+  send: async ({ title, message, kind = 'decision', options = {} }) => {
+    const { priority, retry, expire, sound } = options;
+    const overrides = Object.fromEntries(
+      Object.entries({ priority, retry, expire, sound }).filter(([, v]) => v !== undefined)
+    );
+    const params = { ...(PUSHOVER_DEFAULTS[kind] || PUSHOVER_DEFAULTS.decision), ...overrides };
+    const res = await pushoverSender({
+      token: config.pushoverToken,
+      user: config.pushoverUser,
+      device: config.pushoverDevice,
+      apiUrl: config.pushoverApiUrl,
+      title,
+      message,
+      ...params,
+      dryRun: config.dryRun
+    });
+    return {
+      id: res.receipt,
+      // Only priority-2 sends get a real receipt worth polling for acknowledgement.
+      fields: { pushover_receipt: res.receipt, pushover_priority: params.priority },
+      logFields: { receipt: res.receipt }
+    };
+  }
+});
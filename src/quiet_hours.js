@@ -0,0 +1,75 @@
+const parseClock = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+};
+
+// "22:00-07:00,12:30-13:30" -> [{ start, end }] in minutes since midnight.
+// Windows may wrap past midnight; "off" (or an empty string) means no quiet hours.
+export const parseQuietWindows = (spec) => {
+  const raw = String(spec || '').trim();
+  if (!raw || raw.toLowerCase() === 'off') return [];
+  return raw
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [startRaw, endRaw] = part.split('-');
+      const start = parseClock(startRaw || '');
+      const end = parseClock(endRaw || '');
+      if (start === null || end === null) {
+        throw new Error(`Invalid quiet hours window: ${part}`);
+      }
+      return { start, end };
+    });
+};
+
+export const minutesInTimezone = (ts, timeZone = 'UTC') => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(ts));
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0);
+  return get('hour') * 60 + get('minute');
+};
+
+const inWindow = ({ start, end }, minute) =>
+  start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+
+export const isQuietAt = (windows, ts, timeZone) => {
+  if (!windows.length) return false;
+  const minute = minutesInTimezone(ts, timeZone);
+  return windows.some((w) => inWindow(w, minute));
+};
+
+// Per-urgency spec (QUIET_HOURS_<URGENCY>) overrides the default QUIET_HOURS spec.
+// Specs are checked once at startup by validateQuietHours, so this never sees a bad one.
+export const quietWindowsFor = (config, urgency) => {
+  const override = config.quietHoursByUrgency?.[String(urgency || 'normal').toLowerCase()];
+  const spec = override !== undefined && override !== '' ? override : config.quietHours;
+  return parseQuietWindows(spec);
+};
+
+// Throws on the first invalid spec, naming its variable, so a typo stops startup instead of
+// silently disabling quiet hours.
+export const validateQuietHours = (config) => {
+  const specs = [
+    ['QUIET_HOURS', config.quietHours],
+    ...Object.entries(config.quietHoursByUrgency || {}).map(([urgency, spec]) => [`QUIET_HOURS_${urgency.toUpperCase()}`, spec])
+  ];
+  for (const [name, spec] of specs) {
+    try {
+      parseQuietWindows(spec);
+    } catch (err) {
+      throw new Error(`${name}: ${err.message}`);
+    }
+  }
+};
+
+export const isQuietFor = (config, urgency, ts = Date.now()) =>
+  isQuietAt(quietWindowsFor(config, urgency), ts, config.logTimezone || 'UTC');
@@ -0,0 +1,31 @@
+import { analyzeSender } from './url_extract.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Caps are per decision notification (not per channel); 0 disables a cap.
+const CAPS = [
+  { cap: 'hourly', limitKey: 'notifyMaxPerHour', windowMs: HOUR_MS, perSender: false },
+  { cap: 'daily', limitKey: 'notifyMaxPerDay', windowMs: DAY_MS, perSender: false },
+  { cap: 'sender_hourly', limitKey: 'notifyMaxPerSenderPerHour', windowMs: HOUR_MS, perSender: true }
+];
+
+export const senderKey = (from) => {
+  const { email } = analyzeSender(from || '');
+  return String(email || from || '').trim().toLowerCase();
+};
+
+export const pruneRateEvents = (events, now = Date.now()) => events.filter((e) => now - e.at < DAY_MS);
+
+// Returns the first cap `sender` would exceed with one more notification, or null when allowed.
+// A null sender (summaries, thread updates) is only held to the overall caps.
+export const exceededCap = (config, events, sender, now = Date.now()) => {
+  for (const { cap, limitKey, windowMs, perSender } of CAPS) {
+    const limit = config[limitKey];
+    if (!limit || limit <= 0) continue;
+    if (perSender && !sender) continue;
+    const count = events.filter((e) => now - e.at < windowMs && (!perSender || e.sender === sender)).length;
+    if (count >= limit) return cap;
+  }
+  return null;
+};
@@ -0,0 +1,61 @@
+import fs from 'fs';
+import { analyzeSender } from './url_extract.js';
+import { cacheByMtime } from './file_cache.js';
+
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v).trim().toLowerCase()).filter(Boolean);
+};
+
+const normalizeChannels = (channels) => {
+  if (Array.isArray(channels)) return channels.map((name) => ({ name: String(name).toLowerCase(), options: {} }));
+  return Object.entries(channels || {}).map(([name, options]) => ({
+    name: name.toLowerCase(),
+    options: options && typeof options === 'object' ? options : {}
+  }));
+};
+
+// Routes file shape: { "routes": [ { "name", "match": { urgency, sender_domain, subject }, "channels" } ] }.
+// `channels` is either a list of channel names or a map of channel name -> provider options
+// (e.g. Pushover priority/retry/expire/sound). The first matching route wins; a route with
+// no `match` is a catch-all and an empty `channels` list suppresses the notification.
+export const normalizeRoutes = (raw) => {
+  const list = Array.isArray(raw) ? raw : raw?.routes;
+  if (!Array.isArray(list)) throw new Error('Routes must be an array or { "routes": [...] }');
+  return list.map((route, idx) => {
+    const match = route.match || {};
+    return {
+      name: route.name || `route_${idx + 1}`,
+      urgency: toList(match.urgency),
+      senderDomains: toList(match.sender_domain),
+      subject: match.subject ? new RegExp(match.subject, 'i') : null,
+      channels: normalizeChannels(route.channels)
+    };
+  });
+};
+
+const readRoutes = cacheByMtime((routesPath) => normalizeRoutes(JSON.parse(fs.readFileSync(routesPath, 'utf-8'))), {
+  fallback: null,
+  onError: (routesPath, err) =>
+    console.error(`[ROUTING] Failed to load routes from ${routesPath}: ${err.message}, using all channels`)
+});
+
+// Parsed once per version of the file, so calling this for every notification is cheap.
+export const loadRoutes = (routesPath) => (routesPath ? readRoutes(routesPath) : null);
+
+const domainMatches = (domain, candidates) =>
+  candidates.some((c) => domain === c || domain.endsWith(`.${c}`));
+
+export const resolveRoute = (routes, { urgency, from, subject } = {}) => {
+  if (!Array.isArray(routes)) return null;
+  const level = String(urgency || 'normal').toLowerCase();
+  const domain = analyzeSender(from || '').domain || '';
+  return (
+    routes.find((route) => {
+      if (route.urgency.length && !route.urgency.includes(level)) return false;
+      if (route.senderDomains.length && !domainMatches(domain, route.senderDomains)) return false;
+      if (route.subject && !route.subject.test(subject || '')) return false;
+      return true;
+    }) || null
+  );
+};
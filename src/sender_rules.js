@@ -0,0 +1,97 @@
+import fs from 'fs';
+import path from 'path';
+import { analyzeSender } from './url_extract.js';
+import { senderKey } from './rate_limit.js';
+import { cacheByMtime } from './file_cache.js';
+
+export const RULE_ACTIONS = ['notify', 'skip', 'context'];
+
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v).trim().toLowerCase()).filter(Boolean);
+};
+
+const compilePattern = (name, field, pattern) => {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (err) {
+    throw new Error(`Rule ${name}: invalid ${field} regex (${err.message})`);
+  }
+};
+
+// Rules file shape: { "rules": [ { "name", "match": { from, sender_domain, subject, headers }, "action", ... } ] }.
+// `from` / `sender_domain` take a value or a list; `subject` and each `headers` value are
+// case-insensitive regexes. Every given match field must hold and the first matching rule wins.
+// `notify` and `skip` decide without the LLM (`urgency` sets the notify urgency); `context` adds
+// its `context` text to the LLM prompt.
+export const normalizeSenderRules = (raw) => {
+  const list = Array.isArray(raw) ? raw : raw?.rules;
+  if (!Array.isArray(list)) throw new Error('Rules must be an array or { "rules": [...] }');
+  return list.map((rule, idx) => {
+    const name = rule?.name || `rule_${idx + 1}`;
+    if (!RULE_ACTIONS.includes(rule?.action)) {
+      throw new Error(`Rule ${name}: action must be one of ${RULE_ACTIONS.join(', ')}`);
+    }
+    if (rule.action === 'context' && !String(rule.context || '').trim()) {
+      throw new Error(`Rule ${name}: context action needs a context string`);
+    }
+    const match = rule.match || {};
+    const compiled = {
+      name,
+      action: rule.action,
+      context: String(rule.context || '').trim(),
+      urgency: rule.urgency || 'normal',
+      from: toList(match.from).map((addr) => senderKey(addr)),
+      senderDomains: toList(match.sender_domain).map((d) => d.replace(/^@/, '')),
+      subject: match.subject ? compilePattern(name, 'subject', match.subject) : null,
+      headers: Object.entries(match.headers || {}).map(([key, pattern]) => ({
+        key: key.toLowerCase(),
+        pattern: compilePattern(name, `header ${key}`, pattern)
+      }))
+    };
+    if (!compiled.from.length && !compiled.senderDomains.length && !compiled.subject && !compiled.headers.length) {
+      throw new Error(`Rule ${name}: match needs from, sender_domain, subject or headers`);
+    }
+    return compiled;
+  });
+};
+
+export const readSenderRulesFile = (rulesPath) => {
+  if (!rulesPath || !fs.existsSync(rulesPath)) return { rules: [] };
+  return JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
+};
+
+const readSenderRules = cacheByMtime((rulesPath) => normalizeSenderRules(readSenderRulesFile(rulesPath)), {
+  fallback: [],
+  onError: (rulesPath, err) =>
+    console.error(`[RULES] Failed to load sender rules from ${rulesPath}: ${err.message}, using none`)
+});
+
+// Parsed once per version of the file, so calling this for every message is cheap.
+export const loadSenderRules = (rulesPath) => (rulesPath ? readSenderRules(rulesPath) : []);
+
+// Validates before writing so a bad edit never replaces a working file; returns the compiled rules.
+export const saveSenderRules = async (rulesPath, raw) => {
+  const rules = normalizeSenderRules(raw);
+  await fs.promises.mkdir(path.dirname(rulesPath), { recursive: true });
+  await fs.promises.writeFile(rulesPath, `${JSON.stringify(raw, null, 2)}\n`);
+  return rules;
+};
+
+const domainMatches = (domain, candidates) => candidates.some((c) => domain === c || domain.endsWith(`.${c}`));
+
+export const matchSenderRule = (rules, { from, subject, headers } = {}) => {
+  if (!Array.isArray(rules) || !rules.length) return null;
+  const address = senderKey(from);
+  const domain = analyzeSender(from || '').domain || '';
+  return (
+    rules.find((rule) => {
+      if (rule.from.length && !rule.from.includes(address)) return false;
+      if (rule.senderDomains.length && !domainMatches(domain, rule.senderDomains)) return false;
+      if (rule.subject && !rule.subject.test(subject || '')) return false;
+      return rule.headers.every(({ key, pattern }) => (headers || {})[key] !== undefined && pattern.test(headers[key]));
+    }) || null
+  );
+};
+
+export const isForcedRule = (rule) => rule?.action === 'notify' || rule?.action === 'skip';
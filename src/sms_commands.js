@@ -0,0 +1,40 @@
+import { senderKey } from './rate_limit.js';
+import { analyzeSender } from './url_extract.js';
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "90m", "2h", "1 day" -> milliseconds; null when unparseable.
+export const parseDuration = (value) => {
+  const match = /^(\d+(?:\.\d+)?)\s*(m|min|mins|minutes?|h|hr|hrs|hours?|d|days?)$/i.exec(String(value || '').trim());
+  if (!match) return null;
+  return Math.round(Number(match[1]) * UNIT_MS[match[2][0].toLowerCase()]);
+};
+
+// Reply text -> { action, arg }. Actions: mute, unmute, more, snooze, wrong, help.
+export const parseSmsCommand = (body) => {
+  const text = String(body || '').trim();
+  const [word = '', ...rest] = text.split(/\s+/);
+  const arg = rest.join(' ').trim();
+  const action = word.toLowerCase();
+  if (['mute', 'unmute', 'more', 'snooze', 'wrong'].includes(action)) return { action, arg };
+  return { action: 'help', arg: text };
+};
+
+export const SMS_COMMAND_HELP = 'Reply MORE (full email), MUTE [sender|domain], UNMUTE [sender|domain], SNOOZE 2h or WRONG [reason].';
+
+// "MUTE" / "MUTE sender" target the sender of the notification being answered; anything else is
+// taken as an address or domain.
+export const muteTargetFor = (arg, from) => {
+  const value = String(arg || '').trim().toLowerCase();
+  if (!value || value === 'sender') return senderKey(from);
+  return value.includes('@') ? senderKey(value) : value.replace(/^@/, '');
+};
+
+// A mute matches the exact sender address or its domain (subdomains included).
+export const isSenderMuted = (mutedSenders, from) => {
+  const keys = Object.keys(mutedSenders || {});
+  if (!keys.length) return false;
+  const address = senderKey(from);
+  const domain = analyzeSender(from || '').domain || '';
+  return keys.some((key) => key === address || (domain && (domain === key || domain.endsWith(`.${key}`))));
+};
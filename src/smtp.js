@@ -0,0 +1,78 @@
+import nodemailer from 'nodemailer';
+
+export const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  if (!host) return null;
+  return nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+};
+
+export const sendEmailAlert = async ({ transport, from, to, subject, text, dryRun }) => {
+  if (dryRun) {
+    return { messageId: 'DRY_RUN', dryRun: true };
+  }
+  if (!transport) {
+    throw new Error('SMTP transport not configured');
+  }
+  if (!to) {
+    throw new Error('Missing SMTP_TO');
+  }
+  const res = await transport.sendMail({ from, to, subject, text });
+  return { messageId: res.messageId, dryRun: false };
+};
+
+export const checkSmtpCredentials = async (transport) => {
+  if (!transport) return { ok: false, error: 'Missing SMTP_HOST' };
+  try {
+    await transport.verify();
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+};
+
+// Email has room for the full packet body, so decisions skip the SMS truncation and carry the Gmail link.
+const formatEmailAlert = ({ title, message, urgency, decision }) => {
+  if (!decision) return { subject: title, text: message };
+  const packet = decision.message_packet || {};
+  const lines = [packet.body || message];
+  if (decision.gmail_link) lines.push('', `Open in Gmail: ${decision.gmail_link}`);
+  return {
+    subject: `${urgency ? `[${urgency}] ` : ''}${packet.title || title}`,
+    text: lines.join('\n')
+  };
+};
+
+export const createSmtpNotifier = ({ config, smtpTransport }) => {
+  const transport =
+    smtpTransport !== undefined
+      ? smtpTransport
+      : createSmtpTransport({
+          host: config.smtpHost,
+          port: config.smtpPort,
+          secure: config.smtpSecure,
+          user: config.smtpUser,
+          pass: config.smtpPass
+        });
+  return {
+    name: 'smtp',
+    tag: 'SMTP',
+    target: () => ({ to: config.smtpTo }),
+    check: () => checkSmtpCredentials(transport),
+    send: async (payload) => {
+      const { subject, text } = formatEmailAlert(payload);
+      const res = await sendEmailAlert({
+        transport,
+        from: config.smtpFrom || config.smtpUser,
+        to: config.smtpTo,
+        subject,
+        text,
+        dryRun: config.dryRun
+      });
+      return { id: res.messageId, fields: { smtp_message_id: res.messageId }, logFields: { message_id: res.messageId } };
+    }
+  };
+};
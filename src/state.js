@@ -1,10 +1,23 @@
 import fs from 'fs';
 import path from 'path';
+import { pruneRateEvents } from './rate_limit.js';
 
 const defaultState = () => ({
   processed: {},
   recent_decisions: [],
   recent_sends: [],
+  deferred_notifications: [],
+  notification_retries: [],
+  dead_letters: [],
+  review_queue: [],
+  llm_retry: {},
+  llm_queue_tasks: [],
+  digest: { pending: [], last_sent_at: 0 },
+  rate_limit: { events: [], suppressed: [] },
+  threads: {},
+  muted_senders: {},
+  snooze_until: 0,
+  webhook_deliveries: [],
   token_events: [],
   alerts: {
     gmail_down_at: 0,
@@ -15,7 +28,11 @@ const defaultState = () => ({
   stats: {
     emails_processed: 0,
     llm_requests: 0,
+    llm_validation_failures: 0,
+    llm_repairs: 0,
+    llm_output_modes: { json_schema: 0, prompt: 0 },
     notifications_sent: 0,
+    notifications_suppressed: 0,
     tokens_total_est: 0,
     last_24h_tokens_est: 0,
     gmail: { last_ok_at: 0, last_error: '', last_poll_at: 0 },
@@ -51,6 +68,8 @@ export const createStateManager = ({
         ...base,
         ...parsed,
         alerts: { ...base.alerts, ...(parsed.alerts || {}) },
+        digest: { ...base.digest, ...(parsed.digest || {}) },
+        rate_limit: { ...base.rate_limit, ...(parsed.rate_limit || {}) },
         stats: { ...base.stats, ...(parsed.stats || {}) }
       };
       computeLast24h();
@@ -89,6 +108,8 @@ export const createStateManager = ({
     }
     state.recent_decisions = (state.recent_decisions || []).slice(-recentLimit);
     state.recent_sends = (state.recent_sends || []).slice(-recentLimit);
+    state.webhook_deliveries = (state.webhook_deliveries || []).slice(-recentLimit);
+    state.dead_letters = (state.dead_letters || []).slice(-recentLimit);
     state.token_events = (state.token_events || []).slice(-tokenEventLimit);
   };
 
@@ -103,7 +124,179 @@ export const createStateManager = ({
 
   const addSend = (send) => {
     state.recent_sends.push(send);
-    state.stats.notifications_sent += 1;
+    if (send.status !== 'failed' && send.status !== 'suppressed') state.stats.notifications_sent += 1;
+  };
+
+  // Receipt status is stored on every send that carries the receipt (one per Pushover channel send).
+  const recordPushoverReceipt = (receipt, status) => {
+    for (const send of state.recent_sends) {
+      if (send.pushover_receipt === receipt) send.pushover_ack = status;
+    }
+  };
+
+  const addWebhookDelivery = (entry) => {
+    state.webhook_deliveries.push(entry);
+  };
+
+  const addDeferred = (item) => {
+    state.deferred_notifications.push(item);
+  };
+
+  // Removes and returns every item of state[key] matching the predicate.
+  const takeMatching = (key, predicate) => {
+    const taken = [];
+    state[key] = state[key].filter((item) => {
+      if (!predicate(item)) return true;
+      taken.push(item);
+      return false;
+    });
+    return taken;
+  };
+
+  const takeDeferred = (predicate) => takeMatching('deferred_notifications', predicate);
+
+  const addRetry = (entry) => {
+    state.notification_retries.push(entry);
+  };
+
+  const takeRetries = (predicate) => takeMatching('notification_retries', predicate);
+
+  const addDeadLetter = (entry) => {
+    state.dead_letters.push(entry);
+  };
+
+  const takeDeadLetter = (id) => takeMatching('dead_letters', (entry) => entry.id === id)[0] || null;
+
+  const addReview = (item) => {
+    state.review_queue.push(item);
+  };
+
+  const takeReview = (id) => takeMatching('review_queue', (item) => item.id === id)[0] || null;
+
+  // Emails the LLM could not judge, keyed by message id, kept until a later attempt decides them.
+  // `attempted: false` parks an email without counting an attempt (e.g. while the breaker is open).
+  // Entries without a next_attempt_at (parked by the breaker) are due as soon as the LLM is back.
+  const addLLMRetry = (id, { threadId, subject, error = '', attempted = true, nextAttemptAt } = {}) => {
+    const prev = state.llm_retry[id];
+    state.llm_retry[id] = {
+      id,
+      thread_id: threadId ?? prev?.thread_id,
+      subject: subject ?? prev?.subject,
+      first_failed_at: prev?.first_failed_at || Date.now(),
+      attempts: (prev?.attempts || 0) + (attempted ? 1 : 0),
+      next_attempt_at: nextAttemptAt ?? prev?.next_attempt_at ?? 0,
+      last_error: error
+    };
+  };
+
+  const getLLMRetry = (id) => state.llm_retry[id] || null;
+
+  const listLLMRetries = () => Object.values(state.llm_retry).sort((a, b) => a.first_failed_at - b.first_failed_at);
+
+  const removeLLMRetry = (id) => {
+    delete state.llm_retry[id];
+  };
+
+  const addDigestItem = (item) => {
+    state.digest.pending.push(item);
+  };
+
+  const takeDigestItems = () => {
+    const items = state.digest.pending;
+    state.digest.pending = [];
+    return items;
+  };
+
+  const markDigestSent = () => {
+    state.digest.last_sent_at = Date.now();
+  };
+
+  // Per-thread cooldown bookkeeping: when the thread last notified and replies merged since.
+  const getThread = (threadId) => state.threads[threadId] || null;
+
+  // Restarts the cooldown; replies still pending stay queued for the next update.
+  const markThreadNotified = (threadId, subject) => {
+    const prev = state.threads[threadId];
+    state.threads[threadId] = { notified_at: Date.now(), subject, pending: prev?.pending || [] };
+  };
+
+  const addThreadUpdate = (threadId, item) => {
+    state.threads[threadId].pending.push(item);
+  };
+
+  // Drops the replies an update actually delivered, keeping any merged since it was built.
+  const removeThreadUpdates = (threadId, items) => {
+    const thread = state.threads[threadId];
+    if (!thread) return;
+    const sent = new Set(items);
+    thread.pending = thread.pending.filter((item) => !sent.has(item));
+  };
+
+  // Drops threads with nothing pending whose cooldown ended more than `maxAgeMs` ago.
+  const pruneThreads = (maxAgeMs) => {
+    const cutoff = Date.now() - maxAgeMs;
+    for (const [threadId, entry] of Object.entries(state.threads)) {
+      if (!entry.pending.length && entry.notified_at < cutoff) delete state.threads[threadId];
+    }
+  };
+
+  const muteSender = (key, info) => {
+    state.muted_senders[key] = { ...info, muted_at: Date.now() };
+  };
+
+  const unmuteSender = (key) => {
+    const existed = !!state.muted_senders[key];
+    delete state.muted_senders[key];
+    return existed;
+  };
+
+  const setSnoozeUntil = (ts) => {
+    state.snooze_until = ts;
+  };
+
+  // A null label clears any existing one.
+  const labelDecision = (id, label) => {
+    const decision = state.recent_decisions.find((d) => d.id === id);
+    if (!decision) return null;
+    if (label) {
+      decision.label = { ...label, labeled_at: Date.now() };
+    } else {
+      delete decision.label;
+    }
+    return decision;
+  };
+
+  const setDecisionReview = (id, review) => {
+    const decision = state.recent_decisions.find((d) => d.id === id);
+    if (decision) decision.review = { ...decision.review, ...review };
+    return decision || null;
+  };
+
+  // Inbound SMS replies are recorded on the send they answered.
+  const recordSendReply = (send, reply) => {
+    send.replies = [...(send.replies || []), { ...reply, at: Date.now() }];
+  };
+
+  // One event per notification let through the rate limiter; `sender` is null for summaries.
+  const recordRateEvent = (sender) => {
+    state.rate_limit.events = pruneRateEvents(state.rate_limit.events);
+    state.rate_limit.events.push({ at: Date.now(), sender });
+  };
+
+  const addSuppressed = (item) => {
+    state.rate_limit.suppressed.push(item);
+    state.stats.notifications_suppressed += 1;
+  };
+
+  const takeSuppressed = () => {
+    const items = state.rate_limit.suppressed;
+    state.rate_limit.suppressed = [];
+    return items;
+  };
+
+  // Puts back items whose summary could not be delivered without counting them twice.
+  const restoreSuppressed = (items) => {
+    state.rate_limit.suppressed.unshift(...items);
   };
 
   const addTokenEvent = (tokens) => {
@@ -117,6 +310,22 @@ export const createStateManager = ({
     state.stats.llm_requests += 1;
   };
 
+  // Every LLM answer rejected by schema validation, and every email a repair re-prompt rescued.
+  const bumpLLMValidationFailures = () => {
+    state.stats.llm_validation_failures += 1;
+  };
+
+  const bumpLLMRepairs = () => {
+    state.stats.llm_repairs += 1;
+  };
+
+  // How each LLM decision was constrained: response_format json_schema or prompt-only JSON.
+  const bumpLLMOutputMode = (mode) => {
+    if (!mode) return;
+    const modes = (state.stats.llm_output_modes ||= {});
+    modes[mode] = (modes[mode] || 0) + 1;
+  };
+
   const recordGmailPoll = () => {
     state.stats.gmail.last_poll_at = Date.now();
   };
@@ -169,32 +378,32 @@ export const createStateManager = ({
     state.stats.llm_queue = { ...state.stats.llm_queue, ...queueStats };
   };
 
+  // Waiting and in-flight LLM tasks ({ id, thread_id, enqueued_at }), restored on startup.
+  const setLLMQueueTasks = (tasks) => {
+    state.llm_queue_tasks = tasks;
+  };
+
   const incrementLLMQueueDropped = (messageId = '') => {
     state.stats.llm_queue.dropped_total += 1;
     state.stats.llm_queue.last_dropped_at = Date.now();
     state.stats.llm_queue.last_dropped_id = messageId || state.stats.llm_queue.last_dropped_id;
   };
 
-  const setTwilioOk = () => {
-    const now = Date.now();
-    state.stats.twilio.last_ok_at = now;
-    state.stats.twilio.startup_ok_at ||= now;
-    state.stats.twilio.last_error = '';
-  };
-
-  const setTwilioError = (errMsg) => {
-    state.stats.twilio.last_error = errMsg;
+  const notifierStats = (name) => {
+    state.stats[name] ||= { last_ok_at: 0, last_error: '', startup_ok_at: 0 };
+    return state.stats[name];
   };
 
-  const setPushoverOk = () => {
+  const setNotifierOk = (name) => {
     const now = Date.now();
-    state.stats.pushover.last_ok_at = now;
-    state.stats.pushover.startup_ok_at ||= now;
-    state.stats.pushover.last_error = '';
+    const stats = notifierStats(name);
+    stats.last_ok_at = now;
+    stats.startup_ok_at ||= now;
+    stats.last_error = '';
   };
 
-  const setPushoverError = (errMsg) => {
-    state.stats.pushover.last_error = errMsg;
+  const setNotifierError = (name, errMsg) => {
+    notifierStats(name).last_error = errMsg;
   };
 
   const markOutageAlertSent = (service) => {
@@ -212,8 +421,43 @@ export const createStateManager = ({
     markProcessed,
     addDecision,
     addSend,
+    recordPushoverReceipt,
+    addWebhookDelivery,
+    addDeferred,
+    takeDeferred,
+    addRetry,
+    takeRetries,
+    addDeadLetter,
+    takeDeadLetter,
+    addReview,
+    takeReview,
+    addLLMRetry,
+    getLLMRetry,
+    listLLMRetries,
+    removeLLMRetry,
+    addDigestItem,
+    takeDigestItems,
+    markDigestSent,
+    getThread,
+    markThreadNotified,
+    addThreadUpdate,
+    removeThreadUpdates,
+    pruneThreads,
+    muteSender,
+    unmuteSender,
+    setSnoozeUntil,
+    labelDecision,
+    setDecisionReview,
+    recordSendReply,
+    recordRateEvent,
+    addSuppressed,
+    takeSuppressed,
+    restoreSuppressed,
     addTokenEvent,
     bumpLLMRequests,
+    bumpLLMValidationFailures,
+    bumpLLMRepairs,
+    bumpLLMOutputMode,
     recordGmailPoll,
     revertGmailPoll,
     setGmailOk,
@@ -223,11 +467,10 @@ export const createStateManager = ({
     setLLMError,
     setLLMHealthCheck,
     setLLMQueueStats,
+    setLLMQueueTasks,
     incrementLLMQueueDropped,
-    setTwilioOk,
-    setTwilioError,
-    setPushoverOk,
-    setPushoverError,
+    setNotifierOk,
+    setNotifierError,
     markOutageAlertSent
   };
 };
@@ -0,0 +1,72 @@
+import { fetchRawMessage, parseRawEmail, gmailLinkFor } from './gmail.js';
+import { trimEmailForLLM } from './email_trim.js';
+
+// Files land in the folder of the original decision; the label says whether that decision was right.
+const FOLDER_LABELS = {
+  notified: { correct: 'TP', false_positive: 'FP' },
+  notnotified: { correct: 'TN', false_negative: 'FN' }
+};
+
+export const tuningFolderFor = (decision) => (decision.notify ? 'notified' : 'notnotified');
+
+export const tuningLabelFor = (decision) => FOLDER_LABELS[tuningFolderFor(decision)][decision.label?.verdict] || null;
+
+// Re-fetches a message and trims it exactly as processSingleMessage does before calling the LLM.
+export const fetchTrimmedEmail = async (gmailClient, id, { maxBodyChars } = {}) => {
+  const parsed = await parseRawEmail(await fetchRawMessage(gmailClient, id));
+  const gmailLink = gmailLinkFor(parsed);
+  const trimmedEmail = trimEmailForLLM(
+    {
+      message_id: parsed.id,
+      thread_id: parsed.threadId,
+      gmail_link: gmailLink,
+      date: parsed.date,
+      from: parsed.from,
+      to: parsed.to,
+      cc: parsed.cc,
+      subject: parsed.subject,
+      body_text: parsed.body_text,
+      attachments: parsed.attachments
+    },
+    { maxBodyChars }
+  );
+  return { gmail_link: gmailLink, date: parsed.date, trimmed_email: trimmedEmail };
+};
+
+// Same shape as prompt-tuning/scripts/backfill.js output, plus the labeller's reason for FP/FN.
+export const buildTuningRecord = (decision, email) => {
+  const label = tuningLabelFor(decision);
+  const record = {
+    id: decision.id,
+    gmail_link: email.gmail_link || decision.gmail_link,
+    from: decision.from,
+    subject: decision.subject,
+    date: email.date,
+    trimmed_email: email.trimmed_email,
+    original_decision: {
+      notify: decision.notify,
+      confidence: decision.confidence,
+      reason: decision.reason,
+      message_packet: decision.message_packet
+    },
+    label
+  };
+  if ((label === 'FP' || label === 'FN') && decision.label.reason) record.reason = decision.label.reason;
+  return record;
+};
+
+// loadEmail(decision) resolves to { gmail_link, date, trimmed_email }; failures are reported, not thrown.
+export const exportTuningDataset = async (decisions, { loadEmail }) => {
+  const records = [];
+  const skipped = [];
+  for (const decision of decisions) {
+    if (!tuningLabelFor(decision)) continue;
+    try {
+      const email = await loadEmail(decision);
+      records.push({ folder: tuningFolderFor(decision), record: buildTuningRecord(decision, email) });
+    } catch (err) {
+      skipped.push({ id: decision.id, error: err.message });
+    }
+  }
+  return { records, skipped };
+};
@@ -25,3 +25,32 @@ export const checkTwilioCredentials = async (client, accountSid) => {
     return { ok: false, error: err.message };
   }
 };
+
+export const createTwilioNotifier = ({ config, twilioClient }) => ({
+  name: 'twilio',
+  tag: 'TWILIO',
+  target: () => ({ to: config.twilioTo }),
+  check: () => checkTwilioCredentials(twilioClient, config.twilioAccountSid),
+  send: async ({ message }) => {
+    const res = await sendSms({
+      client: twilioClient,
+      to: config.twilioTo,
+      from: config.twilioFrom,
+      body: message,
+      dryRun: config.dryRun
+    });
+    return { id: res.sid, fields: { twilio_sid: res.sid }, logFields: { sid: res.sid } };
+  }
+});
+
+// Inbound webhooks are signed with the account auth token over the exact public URL Twilio called.
+export const isValidTwilioSignature = ({ authToken, signature, url, params }) => {
+  if (!authToken || !signature) return false;
+  return twilio.validateRequest(authToken, signature, url, params || {});
+};
+
+export const buildTwimlReply = (text) => {
+  const response = new twilio.twiml.MessagingResponse();
+  if (text) response.message(text);
+  return response.toString();
+};
@@ -0,0 +1,106 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADER = 'X-Screener-Signature';
+export const TIMESTAMP_HEADER = 'X-Screener-Timestamp';
+
+// Receivers verify by recomputing HMAC-SHA256(secret, `${timestamp}.${rawBody}`).
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Network errors, 429 and 5xx may succeed later; other 4xx responses will not improve on retry.
+const isRetryable = (err) => {
+  const status = err.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+// One signed POST. Retries are left to the notification retry queue, so nothing here sleeps;
+// a rejection carries `retryable` for the caller to decide whether a later attempt is worth it.
+export const sendWebhook = async ({ url, payload, secret, attempt = 1, timeoutMs = 10000, httpClient = axios, onAttempt }) => {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = { 'Content-Type': 'application/json', [TIMESTAMP_HEADER]: timestamp };
+  if (secret) headers[SIGNATURE_HEADER] = signPayload(secret, timestamp, body);
+  const start = Date.now();
+  try {
+    const res = await httpClient.post(url, body, { headers, timeout: timeoutMs });
+    onAttempt?.({ url, attempt, ok: true, status: res.status, latency_ms: Date.now() - start });
+    return { status: res.status };
+  } catch (err) {
+    const status = err.response?.status || 0;
+    onAttempt?.({ url, attempt, ok: false, status, latency_ms: Date.now() - start, error: err.message });
+    const error = new Error(`Webhook ${url} failed: ${err.message}`);
+    error.retryable = isRetryable(err);
+    throw error;
+  }
+};
+
+export const parseWebhookUrls = (value) =>
+  String(value || '')
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const buildWebhookPayload = ({ title, message, urgency, kind, decision, items }) => {
+  const base = { event: kind, sent_at: new Date().toISOString() };
+  if (decision) {
+    return {
+      ...base,
+      id: decision.id,
+      message_packet: decision.message_packet,
+      reason: decision.reason,
+      confidence: decision.confidence,
+      gmail_link: decision.gmail_link,
+      from: decision.from,
+      subject: decision.subject
+    };
+  }
+  return { ...base, title, message, urgency, ...(items ? { items } : {}) };
+};
+
+// `options.webhook_urls` narrows a send to some of the configured endpoints. A partly failed send
+// rejects with `retryOptions` naming only the endpoints that failed, so neither the retry queue nor
+// a dead-letter resend posts twice to an endpoint that already accepted the notification.
+export const createWebhookNotifier = ({ config, stateManager, httpClient }) => {
+  const urls = parseWebhookUrls(config.webhookUrls);
+  return {
+    name: 'webhook',
+    tag: 'WEBHOOK',
+    target: () => ({ endpoints: urls.length }),
+    check: async () => (urls.length ? { ok: true } : { ok: false, error: 'Missing WEBHOOK_URLS' }),
+    send: async (payload) => {
+      if (config.dryRun) {
+        return { id: 'DRY_RUN', fields: { webhook_endpoints: urls }, logFields: { dry_run: true } };
+      }
+      if (!urls.length) throw new Error('Missing WEBHOOK_URLS');
+      const only = payload.options?.webhook_urls;
+      const targets = Array.isArray(only) ? urls.filter((url) => only.includes(url)) : urls;
+      const body = buildWebhookPayload(payload);
+      const results = await Promise.allSettled(
+        targets.map((url) =>
+          sendWebhook({
+            url,
+            payload: body,
+            secret: config.webhookSecret,
+            attempt: payload.attempt,
+            timeoutMs: config.webhookTimeoutMs,
+            httpClient,
+            onAttempt: (entry) => stateManager?.addWebhookDelivery({ ...entry, event: body.event, at: Date.now() })
+          })
+        )
+      );
+      const failed = results.map((r, idx) => ({ ...r, url: targets[idx] })).filter((r) => r.status === 'rejected');
+      if (failed.length) {
+        const error = new Error(failed.map((r) => r.reason.message).join('; '));
+        error.retryOptions = { webhook_urls: failed.map((r) => r.url) };
+        error.retryable = failed.some((r) => r.reason.retryable);
+        throw error;
+      }
+      return {
+        id: `${targets.length} endpoint${targets.length === 1 ? '' : 's'}`,
+        fields: { webhook_endpoints: targets },
+        logFields: { endpoints: targets.length }
+      };
+    }
+  };
+};
@@ -0,0 +1,90 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { startApp } from '../src/index.js';
+import {
+  buildEmails,
+  createMockGmail,
+  createTwilioMock,
+  tmpStatePath,
+  cleanupFile,
+  fixtures,
+  makeLLMStub
+} from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+test('labels decisions over /api/decisions/:id/label', async () => {
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  const llmStub = makeLLMStub(fixtures.llm.positive);
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'twilio',
+      twilioFrom: '+10000000000',
+      twilioTo: '+19999999999',
+      port: 0,
+      statePath,
+      dryRun: false
+    },
+    gmailClient: createMockGmail(buildEmails(['m1', 'm2'])),
+    twilioClient: createTwilioMock('success'),
+    llmCaller: llmStub.caller,
+    llmHealthChecker: llmStub.health,
+    startPolling: false,
+    skipTwilioStartupCheck: true
+  });
+  cleanupTasks.push(() => appRunner.stop());
+  await appRunner.pollNow();
+
+  const base = `http://127.0.0.1:${appRunner.server.address().port}`;
+  const call = async (method, id, body) => {
+    const res = await fetch(`${base}/api/decisions/${id}/label`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, data: await res.json() };
+  };
+
+  assert.strictEqual((await call('POST', 'nope', { verdict: 'correct' })).status, 404);
+  assert.strictEqual((await call('POST', 'm1', { verdict: 'meh' })).status, 400);
+  // m1 notified, m2 was refused: each only accepts the matching thumbs-down verdict.
+  assert.strictEqual((await call('POST', 'm1', { verdict: 'false_negative' })).status, 400);
+  assert.strictEqual((await call('POST', 'm2', { verdict: 'false_positive' })).status, 400);
+
+  const fp = await call('POST', 'm1', { verdict: 'false_positive', reason: '  staging only  ' });
+  assert.strictEqual(fp.status, 200);
+  assert.strictEqual(fp.data.label.verdict, 'false_positive');
+  assert.strictEqual(fp.data.label.reason, 'staging only');
+  assert.strictEqual(fp.data.label.source, 'dashboard');
+  assert.ok(fp.data.label.labeled_at);
+
+  const fn = await call('POST', 'm2', { verdict: 'false_negative', reason: 'weekly report matters' });
+  assert.strictEqual(fn.status, 200);
+
+  const got = await call('GET', 'm1');
+  assert.deepStrictEqual(
+    { notify: got.data.notify, verdict: got.data.label.verdict },
+    { notify: true, verdict: 'false_positive' }
+  );
+
+  // Labels reach the dashboard's notification and refusal cards.
+  const status = await (await fetch(`${base}/api/status`)).json();
+  assert.strictEqual(status.recent_sends[0].label.verdict, 'false_positive');
+  const refusals = await (await fetch(`${base}/api/analytics/refusals?hours=24`)).json();
+  assert.strictEqual(refusals.latest.find((r) => r.id === 'm2').label.verdict, 'false_negative');
+
+  const cleared = await call('DELETE', 'm1');
+  assert.strictEqual(cleared.data.label, null);
+  const decision = appRunner.ctx.stateManager.getState().recent_decisions.find((d) => d.id === 'm1');
+  assert.strictEqual(decision.label, undefined);
+});
@@ -0,0 +1,151 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { startApp } from '../src/index.js';
+import { normalizeDecisionRules, matchDecisionRule, applyDecisionRule, loadDecisionRules } from '../src/decision_rules.js';
+import {
+  base64UrlEncode,
+  buildEmails,
+  createMockGmail,
+  createTwilioMock,
+  makeRawEmail,
+  tmpStatePath,
+  cleanupFile,
+  makeLLMStub
+} from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+const decisionWith = (overrides = {}) => ({
+  id: 'd1',
+  notify: true,
+  confidence: 0.9,
+  message_packet: { title: 'T', body: 'B', urgency: 'high' },
+  feature_flags: { has_ip_based_urls: false, removed_sections: ['unsubscribe_footer'] },
+  analysis: { sender_analysis: { email: 'a@mail.example.com', domain: 'mail.example.com', root_domain: 'example.com' } },
+  ...overrides
+});
+
+test('validates, matches and applies decision rules', () => {
+  assert.throws(() => normalizeDecisionRules([{ when: { spam_score: 1 }, then: 'veto' }]), /unknown fact spam_score/);
+  assert.throws(() => normalizeDecisionRules([{ when: { confidence: { below: 1 } }, then: 'veto' }]), /unknown operator below/);
+  assert.throws(() => normalizeDecisionRules([{ name: 'x', when: { notify: true }, then: 'set_urgency' }]), /Rule x: set_urgency/);
+  assert.throws(() => normalizeDecisionRules([{ when: {}, then: 'veto' }]), /at least one condition/);
+
+  const rules = normalizeDecisionRules({
+    rules: [
+      { name: 'ip', when: { notify: true, has_ip_based_urls: true }, then: 'veto' },
+      { name: 'unsure', when: { urgency: 'HIGH', confidence: { lt: 0.5 } }, then: 'digest' },
+      { name: 'footer', when: { removed_sections: 'unsubscribe_footer', 'sender_analysis.root_domain': { in: ['example.com'] } }, then: 'set_urgency', urgency: 'low' }
+    ]
+  });
+
+  assert.strictEqual(matchDecisionRule(rules, decisionWith({ feature_flags: { has_ip_based_urls: true } })).name, 'ip');
+  assert.strictEqual(matchDecisionRule(rules, decisionWith({ confidence: 0.4 })).name, 'unsure');
+  assert.strictEqual(matchDecisionRule(rules, decisionWith()).name, 'footer');
+  assert.strictEqual(matchDecisionRule(rules, decisionWith({ feature_flags: {}, analysis: {} })), null);
+
+  const vetoed = applyDecisionRule(rules[0], decisionWith());
+  assert.strictEqual(vetoed.notify, false);
+  assert.deepStrictEqual(vetoed.override, {
+    rule: 'ip',
+    action: 'veto',
+    original: { notify: true, urgency: 'high' },
+    final: { notify: false, urgency: 'high' }
+  });
+  assert.strictEqual(applyDecisionRule(rules[2], decisionWith()).message_packet.urgency, 'low');
+
+  // Rules that would not change anything leave no override behind.
+  const refusal = decisionWith({ notify: false });
+  assert.strictEqual(applyDecisionRule(rules[0], refusal), refusal);
+  assert.strictEqual(applyDecisionRule(rules[1], refusal), refusal);
+});
+
+test('decision rules file is parsed once per version and a broken file is reported once', async (t) => {
+  const rulesPath = tmpStatePath().replace('state-test', 'decision-rules-test');
+  cleanupTasks.push(() => cleanupFile(rulesPath));
+  const errors = t.mock.method(console, 'error', () => {});
+  await fs.promises.writeFile(rulesPath, '{"rules": [');
+  assert.deepStrictEqual(loadDecisionRules(rulesPath), []);
+  assert.deepStrictEqual(loadDecisionRules(rulesPath), []);
+  assert.strictEqual(errors.mock.callCount(), 1);
+
+  await fs.promises.writeFile(rulesPath, JSON.stringify({ rules: [{ name: 'no-ip', when: { has_ip_based_urls: true }, then: 'veto' }] }));
+  const first = loadDecisionRules(rulesPath);
+  assert.strictEqual(first[0].name, 'no-ip');
+  assert.strictEqual(loadDecisionRules(rulesPath), first, 'unchanged file is served from cache');
+  assert.strictEqual(errors.mock.callCount(), 1);
+});
+
+test('post-LLM rules veto and downgrade decisions before notifying', async () => {
+  const statePath = tmpStatePath();
+  const rulesPath = statePath.replace('state-test', 'decision-rules-test');
+  cleanupTasks.push(() => cleanupFile(statePath));
+  cleanupTasks.push(() => cleanupFile(rulesPath));
+  await fs.promises.writeFile(
+    rulesPath,
+    JSON.stringify([
+      { name: 'veto_ip_urls', when: { notify: true, has_ip_based_urls: true }, then: 'veto' },
+      { name: 'unsure_high', when: { urgency: 'high', confidence: { lt: 0.5 } }, then: 'digest' }
+    ])
+  );
+  const phish = {
+    id: 'ip1',
+    threadId: 't-ip1',
+    raw: base64UrlEncode(
+      makeRawEmail({
+        from: 'IT <it@example.net>',
+        to: 'me@example.com',
+        subject: 'Password expires',
+        body: 'Log in at http://192.168.10.4/login today'
+      })
+    )
+  };
+  const llmStub = makeLLMStub({
+    m1: { notify: true, title: 'Prod issue', urgency: 'high', confidence: 0.3 },
+    ip1: { notify: true, title: 'Reset password', urgency: 'high', confidence: 0.95 }
+  });
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'twilio',
+      twilioFrom: '+10000000000',
+      twilioTo: '+19999999999',
+      statePath,
+      decisionRulesPath: rulesPath,
+      senderRulesPath: '',
+      digestSchedule: 'hourly',
+      digestUrgencies: 'low',
+      dryRun: false
+    },
+    gmailClient: createMockGmail([...buildEmails(['m1']), phish]),
+    twilioClient: createTwilioMock('success'),
+    llmCaller: llmStub.caller,
+    llmHealthChecker: llmStub.health,
+    startPolling: false,
+    startServer: false,
+    skipTwilioStartupCheck: true
+  });
+  cleanupTasks.push(() => appRunner.stop());
+  await appRunner.pollNow();
+
+  const state = appRunner.ctx.stateManager.getState();
+  const byId = Object.fromEntries(state.recent_decisions.map((d) => [d.id, d]));
+  assert.strictEqual(byId.ip1.notify, false);
+  assert.deepStrictEqual(byId.ip1.override.original, { notify: true, urgency: 'high' });
+  assert.strictEqual(byId.ip1.override.rule, 'veto_ip_urls');
+
+  // High urgency is not a digest urgency here, but the override queues it anyway.
+  assert.strictEqual(byId.m1.notify, true);
+  assert.deepStrictEqual(byId.m1.override.final, { notify: true, urgency: 'high', digest: true });
+  assert.deepStrictEqual(state.digest.pending.map((i) => i.decision_id), ['m1']);
+  assert.strictEqual(state.recent_sends.length, 0);
+});
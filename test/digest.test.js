@@ -0,0 +1,108 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { startApp } from '../src/index.js';
+import { isDigestDue, lastDailySlot, shouldDigest } from '../src/digest.js';
+import {
+  buildEmails,
+  createMockGmail,
+  createTwilioMock,
+  tmpStatePath,
+  cleanupFile,
+  makeLLMStub
+} from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+const HOUR = 60 * 60 * 1000;
+
+test('digest applies only to configured urgencies when enabled', () => {
+  assert.strictEqual(shouldDigest({ digestSchedule: 'off', digestUrgencies: 'low' }, 'low'), false);
+  assert.strictEqual(shouldDigest({ digestSchedule: 'hourly', digestUrgencies: 'low' }, 'low'), true);
+  assert.strictEqual(shouldDigest({ digestSchedule: 'hourly', digestUrgencies: 'low' }, 'high'), false);
+  assert.strictEqual(shouldDigest({ digestSchedule: 'daily', digestUrgencies: 'low, normal' }, 'NORMAL'), true);
+});
+
+test('hourly and daily schedules compute due times', () => {
+  const now = Date.parse('2024-03-01T12:30:00Z');
+  assert.strictEqual(isDigestDue({ digestSchedule: 'hourly' }, now - HOUR, now), true);
+  assert.strictEqual(isDigestDue({ digestSchedule: 'hourly' }, now - HOUR + 1, now), false);
+  assert.strictEqual(isDigestDue({ digestSchedule: 'off' }, now - 5 * HOUR, now), false);
+
+  const daily = { digestSchedule: 'daily', digestDailyAt: '08:00', logTimezone: 'UTC' };
+  assert.strictEqual(lastDailySlot('08:00', now, 'UTC'), Date.parse('2024-03-01T08:00:00Z'));
+  assert.strictEqual(lastDailySlot('13:00', now, 'UTC'), Date.parse('2024-02-29T13:00:00Z'));
+  assert.strictEqual(isDigestDue(daily, Date.parse('2024-03-01T07:00:00Z'), now), true);
+  assert.strictEqual(isDigestDue(daily, Date.parse('2024-03-01T08:05:00Z'), now), false);
+});
+
+test('batches low-urgency notify decisions into one scheduled digest', async () => {
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  const pushoverCalls = [];
+  const llmStub = makeLLMStub({
+    m1: { notify: true, title: 'Prod issue', urgency: 'high' },
+    m2: { notify: true, title: 'Newsletter you like', urgency: 'low' },
+    twiliofail1: { notify: true, title: 'Package shipped', urgency: 'low' }
+  });
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'pushover',
+      digestSchedule: 'hourly',
+      digestUrgencies: 'low',
+      port: 0,
+      statePath,
+      dryRun: false,
+      pushoverToken: 'PUSHOVER_TOKEN',
+      pushoverUser: 'PUSHOVER_USER'
+    },
+    gmailClient: createMockGmail(buildEmails(['m1', 'm2', 'twiliofail1'])),
+    twilioClient: createTwilioMock('success'),
+    pushoverSender: async (opts) => {
+      pushoverCalls.push(opts);
+      return { receipt: `R-${pushoverCalls.length}` };
+    },
+    llmCaller: llmStub.caller,
+    llmHealthChecker: llmStub.health,
+    startPolling: false,
+    skipTwilioStartupCheck: true,
+    startServer: false
+  });
+  cleanupTasks.push(() => appRunner.stop());
+
+  await appRunner.pollNow();
+  assert.strictEqual(pushoverCalls.length, 1, 'only the high-urgency decision is sent immediately');
+
+  const state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(state.digest.pending.length, 2);
+  assert.strictEqual(appRunner.getStatus().stats.digest_pending, 2);
+
+  await appRunner.flushDigest();
+  assert.strictEqual(pushoverCalls.length, 1, 'not due before an hour has passed');
+
+  state.digest.pending.forEach((item) => {
+    item.queued_at -= HOUR;
+  });
+  await appRunner.flushDigest();
+
+  assert.strictEqual(pushoverCalls.length, 2);
+  const digest = pushoverCalls[1];
+  assert.match(digest.title, /Hourly digest: 2 emails/);
+  assert.match(digest.message, /Newsletter you like https:\/\/mail\.google\.com/);
+  assert.match(digest.message, /Package shipped/);
+  assert.strictEqual(state.digest.pending.length, 0);
+  assert.ok(state.digest.last_sent_at > 0);
+
+  const send = state.recent_sends.at(-1);
+  assert.strictEqual(send.reason, 'scheduled_digest');
+  assert.deepStrictEqual(send.digest_items.map((i) => i.decision_id).sort(), ['m2', 'twiliofail1']);
+  assert.ok(send.digest_items.every((i) => i.gmail_link));
+});
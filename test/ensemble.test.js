@@ -0,0 +1,104 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { startApp } from '../src/index.js';
+import { ensembleMembers, combineVotes } from '../src/ensemble.js';
+import { buildEmails, createMockGmail, createTwilioMock, tmpStatePath, cleanupFile, makeLLMStub } from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+test('builds ensemble members and combines votes', () => {
+  const base = { llmBaseUrl: 'http://primary', llmApiKey: 'k', llmModel: 'local', llmTimeoutMs: 1000 };
+  assert.deepStrictEqual(ensembleMembers(base), []);
+  assert.deepStrictEqual(
+    ensembleMembers({ ...base, ensembleModels: 'a, b@http://other:1235', ensembleWeights: '2' }).map((m) => [m.model, m.baseUrl, m.weight]),
+    [['a', 'http://primary', 2], ['b', 'http://other:1235', 1]]
+  );
+  assert.deepStrictEqual(ensembleMembers({ ...base, ensembleSamples: 3 }).map((m) => m.model), ['local', 'local', 'local']);
+  // Members on LLM_BASE_URL share LLM_PROVIDER, members on their own server default to openai.
+  const mixed = { ...base, llmProvider: 'ollama', ensembleModels: 'a, b@http://other:1235, c@http://third:8080' };
+  assert.deepStrictEqual(ensembleMembers(mixed).map((m) => m.provider), ['ollama', 'openai', 'openai']);
+  assert.deepStrictEqual(
+    ensembleMembers({ ...mixed, ensembleProviders: ',,LlamaCpp' }).map((m) => m.provider),
+    ['ollama', 'openai', 'llamacpp']
+  );
+
+  const votes = [
+    { model: 'a', weight: 1, notify: true, confidence: 0.6 },
+    { model: 'b', weight: 1, notify: false, confidence: 0.9 },
+    { model: 'c', weight: 1, notify: true, confidence: 0.8 }
+  ];
+  const majority = combineVotes(votes, 'majority');
+  assert.strictEqual(majority.notify, true);
+  assert.strictEqual(majority.agreement, 0.67);
+  assert.strictEqual(majority.representative.model, 'c');
+
+  // Weighted: 3 x 0.9 for "skip" outweighs 0.6 + 0.8 for "notify".
+  const weighted = combineVotes(votes.map((v) => (v.model === 'b' ? { ...v, weight: 3 } : v)), 'weighted');
+  assert.strictEqual(weighted.notify, false);
+  assert.strictEqual(weighted.agreement, 0.66);
+
+  // A tie keeps the first member's verdict.
+  assert.strictEqual(combineVotes(votes.slice(0, 2)).notify, true);
+});
+
+test('ensemble members vote on each email and the agreement is recorded', async () => {
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  const stubs = {
+    a: makeLLMStub({ m1: { notify: true, title: 'Prod down (a)', confidence: 0.7, latencyMs: 30 }, m2: { notify: false, confidence: 0.9 } }),
+    b: makeLLMStub({ m1: { notify: true, title: 'Prod down (b)', confidence: 0.9, latencyMs: 80 }, m2: { notify: true, confidence: 0.5 } }),
+    c: makeLLMStub({ m1: { notify: false, confidence: 0.6, latencyMs: 50 }, m2: { notify: false, confidence: 0.8 } })
+  };
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'twilio',
+      twilioFrom: '+10000000000',
+      twilioTo: '+19999999999',
+      statePath,
+      senderRulesPath: '',
+      ensembleModels: 'a,b@http://b.invalid,c',
+      dryRun: false
+    },
+    gmailClient: createMockGmail(buildEmails(['m1', 'm2'])),
+    twilioClient: createTwilioMock('success'),
+    llmCaller: async (args) => {
+      if (args.model === 'c' && args.emailObj.message_id === 'm2') throw new Error('c unavailable');
+      return stubs[args.model].caller(args);
+    },
+    llmHealthChecker: stubs.a.health,
+    startPolling: false,
+    startServer: false,
+    skipTwilioStartupCheck: true
+  });
+  cleanupTasks.push(() => appRunner.stop());
+  await appRunner.pollNow();
+
+  const state = appRunner.ctx.stateManager.getState();
+  const byId = Object.fromEntries(state.recent_decisions.map((d) => [d.id, d]));
+
+  assert.strictEqual(byId.m1.notify, true);
+  assert.strictEqual(byId.m1.message_packet.title, 'Prod down (b)');
+  assert.strictEqual(byId.m1.llm_latency_ms, 80);
+  assert.strictEqual(byId.m1.ensemble.agreement, 0.67);
+  assert.deepStrictEqual(
+    byId.m1.ensemble.votes.map((v) => [v.model, v.notify]),
+    [['a', true], ['b', true], ['c', false]]
+  );
+
+  // With one member down the remaining two tie, so the first member's refusal stands.
+  assert.strictEqual(byId.m2.notify, false);
+  assert.strictEqual(byId.m2.ensemble.agreement, 0.5);
+  assert.strictEqual(byId.m2.ensemble.votes[2].error, 'c unavailable');
+  assert.strictEqual(state.stats.llm.last_error, '');
+
+  assert.deepStrictEqual(state.recent_sends.map((s) => s.decision_id), ['m1']);
+});
@@ -12,7 +12,8 @@ const readJsonFixture = (filename) => {
 export const fixtures = {
   emails: readJsonFixture('emails.json'),
   llm: readJsonFixture('llm_responses.json'),
-  llmJudgment: readJsonFixture('llm_judgment_cases.json')
+  llmJudgment: readJsonFixture('llm_judgment_cases.json'),
+  twilioInbound: readJsonFixture('twilio_inbound.json')
 };
 
 export const base64UrlEncode = (input) =>
@@ -184,3 +185,55 @@ export const createGpuMock = (overrides = {}) => ({
     ...overrides
   })
 });
+
+// Starts the app on stubbed Gmail, LLM and notifiers with a throwaway state file, no polling and
+// no HTTP server. Pushover is the default channel and its sends are recorded in `pushoverCalls`
+// (`onSend(opts)` runs before each one returns); `twilioFrom`/`twilioTo` are set so switching
+// `notificationService` to twilio just works. Any other startApp option (e.g. `pushoverSender`,
+// `startServer: true`) passes through. With `cleanupTasks`, the app is stopped and the state file
+// removed after the test; pass `statePath` to start again on the same state (a restart).
+export const startTestApp = async (
+  configOverrides = {},
+  {
+    emails = [],
+    llm = makeLLMStub(fixtures.llm.positive),
+    statePath = tmpStatePath(),
+    onSend,
+    cleanupTasks,
+    ...appOptions
+  } = {}
+) => {
+  const { startApp } = await import('../src/index.js');
+  cleanupTasks?.push(() => cleanupFile(statePath));
+  const pushoverCalls = [];
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'pushover',
+      pushoverToken: 'PUSHOVER_TOKEN',
+      pushoverUser: 'PUSHOVER_USER',
+      twilioFrom: '+10000000000',
+      twilioTo: '+19999999999',
+      maxLlmConcurrency: 1,
+      port: 0,
+      statePath,
+      dryRun: false,
+      ...configOverrides
+    },
+    gmailClient: createMockGmail(emails),
+    twilioClient: createTwilioMock('success'),
+    pushoverSender: async (opts) => {
+      pushoverCalls.push(opts);
+      await onSend?.(opts);
+      return { receipt: `R-${pushoverCalls.length}` };
+    },
+    pushoverValidator: async () => ({ ok: true }),
+    llmCaller: llm.caller,
+    llmHealthChecker: llm.health,
+    startPolling: false,
+    startServer: false,
+    skipTwilioStartupCheck: true,
+    ...appOptions
+  });
+  cleanupTasks?.push(() => appRunner.stop());
+  return { appRunner, statePath, pushoverCalls };
+};
@@ -58,5 +58,8 @@ test('marks processed and records error on invalid JSON from LLM', async () => {
   assert.strictEqual(state.recent_sends.length, 0);
   assert.ok(state.processed.bad1);
   assert.strictEqual(state.processed.bad1.status, 'error');
-  assert.ok(state.stats.llm.last_error);
+  // A bad answer is not an outage: the failure is on the decision, the LLM is not marked down.
+  assert.match(state.recent_decisions[0].reason, /^LLM failure: Invalid JSON/);
+  assert.strictEqual(state.stats.llm.last_error, '');
+  assert.strictEqual(state.alerts.llm_down_at, 0);
 });
@@ -0,0 +1,110 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { callLLM, healthCheckLLM } from '../src/llm.js';
+import { DECISION_GRAMMAR } from '../src/llamacpp.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+const answer = JSON.stringify({
+  message_packet: { title: 'Prod down', body: 'api01 is failing', urgency: 'high' },
+  confidence: 0.9,
+  reason: 'outage',
+  double_check: 'no red flags',
+  notify: true
+});
+
+// Fake server: `routes` maps "METHOD /path" to a handler returning [status, body]; every request is recorded.
+const startServer = async (routes) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const key = `${req.method} ${req.url}`;
+      const payload = body ? JSON.parse(body) : null;
+      requests.push({ key, payload });
+      const [status, data] = routes[key] ? routes[key](payload) : [404, { error: 'not found' }];
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(data));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  cleanupTasks.push(() => new Promise((resolve) => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+};
+
+const baseArgs = {
+  model: 'qwen3:8b',
+  temperature: 0.8,
+  maxOutputTokens: 300,
+  timeoutMs: 5000,
+  emailObj: { message_id: 'm1', subject: 'Prod down' },
+  maxSmsChars: 900,
+  structuredOutput: 'auto'
+};
+
+test('ollama adapter uses /api/chat with format json and keep_alive', async () => {
+  const server = await startServer({
+    'POST /api/chat': () => [200, { message: { role: 'assistant', content: answer }, prompt_eval_count: 120, eval_count: 40, done: true }],
+    'GET /api/tags': () => [200, { models: [] }]
+  });
+  const res = await callLLM({ ...baseArgs, llmBaseUrl: `${server.url}/`, provider: 'ollama', keepAlive: '-1' });
+  assert.strictEqual(res.parsed.notify, true);
+  assert.strictEqual(res.tokens, 160);
+  assert.strictEqual(res.outputMode, 'json');
+
+  const { payload } = server.requests[0];
+  assert.strictEqual(payload.format, 'json');
+  assert.strictEqual(payload.stream, false);
+  assert.strictEqual(payload.keep_alive, -1);
+  assert.deepStrictEqual(payload.options, { temperature: 0.8, num_predict: 300 });
+  assert.deepStrictEqual(payload.messages.map((m) => m.role), ['system', 'user']);
+
+  assert.strictEqual((await healthCheckLLM({ llmBaseUrl: server.url, timeoutMs: 5000, provider: 'ollama' })).ok, true);
+  assert.strictEqual(server.requests.at(-1).key, 'GET /api/tags');
+});
+
+test('llama.cpp adapter renders the chat template and samples with the decision grammar', async () => {
+  let healthy = false;
+  const server = await startServer({
+    'POST /apply-template': ({ messages }) => [200, { prompt: messages.map((m) => `<|${m.role}|>${m.content}`).join('\n') }],
+    'POST /completion': () => [200, { content: answer, timings: { prompt_n: 200, predicted_n: 50 }, tokens_evaluated: 1 }],
+    'GET /health': () => (healthy ? [200, { status: 'ok' }] : [503, { error: { message: 'Loading model' } }])
+  });
+  const res = await callLLM({ ...baseArgs, llmBaseUrl: server.url, provider: 'llamacpp' });
+  assert.strictEqual(res.parsed.message_packet.urgency, 'high');
+  assert.strictEqual(res.tokens, 250);
+  assert.strictEqual(res.outputMode, 'grammar');
+
+  const completion = server.requests.find((r) => r.key === 'POST /completion').payload;
+  assert.match(completion.prompt, /^<\|system\|>/);
+  assert.strictEqual(completion.grammar, DECISION_GRAMMAR);
+  assert.strictEqual(completion.n_predict, 300);
+
+  await callLLM({ ...baseArgs, llmBaseUrl: server.url, provider: 'llamacpp', structuredOutput: 'off' });
+  assert.strictEqual(server.requests.at(-1).payload.grammar, undefined);
+
+  // /health answers 503 while the model loads.
+  assert.strictEqual((await healthCheckLLM({ llmBaseUrl: server.url, timeoutMs: 5000, provider: 'llamacpp' })).ok, false);
+  healthy = true;
+  assert.strictEqual((await healthCheckLLM({ llmBaseUrl: server.url, timeoutMs: 5000, provider: 'llamacpp' })).ok, true);
+});
+
+test('unknown providers are rejected', async () => {
+  await assert.rejects(callLLM({ ...baseArgs, llmBaseUrl: 'http://127.0.0.1:1', provider: 'kobold' }), /Unknown LLM provider kobold/);
+  const health = await healthCheckLLM({ llmBaseUrl: 'http://127.0.0.1:1', timeoutMs: 100, provider: 'kobold' });
+  assert.strictEqual(health.ok, false);
+});
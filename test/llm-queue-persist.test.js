@@ -0,0 +1,66 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { buildEmails, makeLLMStub, startTestApp } from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+// Pass `statePath` to start again on an earlier run's state.
+const startWithLLM = (llmCaller, configOverrides = {}, { statePath } = {}) =>
+  startTestApp(
+    { notificationService: 'twilio', senderRulesPath: '', ...configOverrides },
+    {
+      emails: buildEmails(['m1', 'm2']),
+      llm: { caller: llmCaller, health: async () => ({ ok: true, latencyMs: 5 }) },
+      statePath,
+      cleanupTasks
+    }
+  );
+
+const savedQueue = async (statePath) => {
+  for (let i = 0; i < 100; i += 1) {
+    try {
+      const tasks = JSON.parse(await fs.promises.readFile(statePath, 'utf8')).llm_queue_tasks || [];
+      if (tasks.length) return tasks;
+    } catch (err) {
+      // not written yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return [];
+};
+
+test('queued and in-flight LLM tasks survive a restart with their enqueue times', async () => {
+  // First process: m1 hangs in the LLM and m2 waits behind it when the process "dies".
+  const { appRunner: crashed, statePath } = await startWithLLM(() => new Promise(() => {}));
+  crashed.pollNow();
+  const saved = await savedQueue(statePath);
+  assert.deepStrictEqual(saved.map((t) => t.id), ['m1', 'm2']);
+  assert.ok(saved.every((t) => t.enqueued_at > 0));
+
+  // Restart with room for one task: m1 is restored at once, m2 waits in the retry set.
+  const llmStub = makeLLMStub({ m1: { notify: true, title: 'Prod issue' } });
+  const { appRunner: restarted } = await startWithLLM(llmStub.caller, { maxLlmQueue: 1 }, { statePath });
+  await restarted.ctx.llmQueue.whenIdle();
+
+  const state = () => restarted.ctx.stateManager.getState();
+  const decision = (id) => state().recent_decisions.find((d) => d.id === id);
+  assert.strictEqual(state().processed.m1.status, 'ok');
+  assert.strictEqual(decision('m1').enqueued_at, saved[0].enqueued_at);
+  assert.deepStrictEqual(restarted.ctx.stateManager.listLLMRetries().map((r) => [r.id, r.attempts]), [['m2', 0]]);
+
+  await restarted.retryLLM();
+  assert.strictEqual(state().processed.m2.status, 'ok');
+  assert.strictEqual(decision('m2').retry.attempts, 0);
+  assert.deepStrictEqual(state().llm_queue_tasks, []);
+  assert.deepStrictEqual(state().recent_sends.map((s) => s.decision_id), ['m1']);
+});
@@ -0,0 +1,173 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { base64UrlEncode, buildEmails, makeRawEmail, makeLLMStub, startTestApp } from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+const rawEmail = (id, subject) => ({
+  id,
+  threadId: `t-${id}`,
+  raw: base64UrlEncode(makeRawEmail({ from: 'Ops <ops@example.com>', to: 'me@example.com', subject, body: subject }))
+});
+
+const connectionRefused = () => Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:1234'), { code: 'ECONNREFUSED' });
+
+// Pass `statePath` to start again on an earlier run's state.
+const startWithLLM = (llm, configOverrides = {}, { statePath } = {}) =>
+  startTestApp(
+    { notificationService: 'twilio', senderRulesPath: '', ...configOverrides },
+    { emails: [...buildEmails(['m1', 'm2']), rawEmail('m3', 'Disk full')], llm, statePath, cleanupTasks }
+  );
+
+test('an LLM outage pauses the queue and deferred emails are re-judged on recovery', async () => {
+  const up = makeLLMStub({ m1: { notify: true, title: 'Prod issue' }, m3: { notify: true, title: 'Disk full' } });
+  const llm = {
+    down: true,
+    caller: async (args) => {
+      if (llm.down) throw connectionRefused();
+      return up.caller(args);
+    },
+    health: async () => (llm.down ? { ok: false, error: 'connect ECONNREFUSED' } : up.health())
+  };
+  const { appRunner } = await startWithLLM(llm, { llmBreakerFailures: 2 });
+  await appRunner.pollNow();
+
+  const state = () => appRunner.ctx.stateManager.getState();
+  // Two failures open the breaker; m3 never reached the LLM and is parked without an attempt.
+  assert.deepStrictEqual(Object.keys(state().processed), []);
+  assert.deepStrictEqual(
+    appRunner.ctx.stateManager.listLLMRetries().map((r) => [r.id, r.attempts]).sort(),
+    [['m1', 1], ['m2', 1], ['m3', 0]]
+  );
+  let status = await appRunner.getStatus();
+  assert.strictEqual(status.stats.llm_breaker.open, true);
+  assert.strictEqual(status.stats.llm_retry_pending, 3);
+  assert.strictEqual(status.stats.llm_queue.paused, true);
+
+  // Polling again does not pick the deferred emails up twice, and a failing probe keeps the breaker open.
+  await appRunner.pollNow();
+  await appRunner.retryLLM();
+  assert.strictEqual(appRunner.ctx.llmBreaker.open, true);
+  assert.strictEqual(state().recent_decisions.length, 0);
+
+  llm.down = false;
+  await appRunner.retryLLM();
+  status = await appRunner.getStatus();
+  assert.strictEqual(status.stats.llm_breaker.open, false);
+  assert.strictEqual(status.stats.llm_retry_pending, 0);
+  assert.deepStrictEqual(Object.values(state().processed).map((p) => p.status), ['ok', 'ok', 'ok']);
+
+  const byId = Object.fromEntries(state().recent_decisions.map((d) => [d.id, d]));
+  assert.strictEqual(byId.m1.retry.attempts, 1);
+  assert.strictEqual(byId.m3.retry.attempts, 0);
+  assert.ok(byId.m1.retry.delay_ms >= 0);
+  assert.strictEqual(byId.m1.retry.delay_ms, byId.m1.decided_at - byId.m1.retry.first_failed_at);
+  assert.deepStrictEqual(state().recent_sends.map((s) => s.decision_id).sort(), ['m1', 'm3']);
+});
+
+test('deferred emails survive a restart and give up after LLM_RETRY_MAX_ATTEMPTS', async () => {
+  const llm = {
+    caller: async () => {
+      throw Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+    },
+    health: async () => ({ ok: true, latencyMs: 5 })
+  };
+  const config = { llmBreakerFailures: 0, llmRetryMaxAttempts: 2, llmRetryBackoffMs: 0 };
+  const first = await startWithLLM(llm, config);
+  await first.appRunner.pollNow();
+  await first.appRunner.stop();
+
+  const { appRunner } = await startWithLLM(llm, config, { statePath: first.statePath });
+  assert.strictEqual(appRunner.ctx.stateManager.listLLMRetries().length, 3);
+  await appRunner.retryLLM();
+  assert.deepStrictEqual(appRunner.ctx.stateManager.listLLMRetries().map((r) => r.attempts), [2, 2, 2]);
+
+  await appRunner.retryLLM();
+  const state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(appRunner.ctx.stateManager.listLLMRetries().length, 0);
+  assert.deepStrictEqual(Object.values(state.processed).map((p) => p.status), ['error', 'error', 'error']);
+  const decision = state.recent_decisions.find((d) => d.id === 'm1');
+  assert.match(decision.reason, /^LLM failure/);
+  assert.strictEqual(decision.retry.attempts, 2);
+});
+
+test('answers the model got wrong are recorded at once and do not open the breaker', async () => {
+  const llm = {
+    caller: async ({ emailObj }) => {
+      if (emailObj.message_id === 'm3') throw connectionRefused();
+      throw new Error('LLM response failed validation: notify must be true or false');
+    },
+    health: async () => ({ ok: true, latencyMs: 5 })
+  };
+  const { appRunner } = await startWithLLM(llm, { llmBreakerFailures: 2 });
+  await appRunner.pollNow();
+
+  const state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(appRunner.ctx.llmBreaker.open, false);
+  assert.strictEqual(appRunner.ctx.llmBreaker.failures, 1);
+  assert.deepStrictEqual(appRunner.ctx.stateManager.listLLMRetries().map((r) => r.id), ['m3']);
+  assert.deepStrictEqual(
+    Object.entries(state.processed).map(([id, p]) => [id, p.status]).sort(),
+    [['m1', 'error'], ['m2', 'error']]
+  );
+  assert.match(state.recent_decisions.find((d) => d.id === 'm1').reason, /^LLM failure: LLM response failed validation/);
+});
+
+test('a bad answer does not mark the LLM down or send an outage alert', async () => {
+  const llm = {
+    caller: async () => {
+      throw new Error('LLM response failed validation: notify must be true or false');
+    },
+    health: async () => ({ ok: true, latencyMs: 5 })
+  };
+  const { appRunner, pushoverCalls } = await startWithLLM(llm, { notificationService: 'pushover' });
+  await appRunner.pollNow();
+
+  const state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(Object.keys(state.processed).length, 3);
+  assert.strictEqual(state.alerts.llm_down_at, 0);
+  assert.strictEqual(state.alerts.llm_last_alert_at, 0);
+  assert.strictEqual(state.stats.llm.last_error, '');
+  assert.deepStrictEqual(pushoverCalls, []);
+});
+
+test('deferred emails wait out a doubling backoff between attempts', async () => {
+  let calls = 0;
+  const llm = {
+    caller: async () => {
+      calls += 1;
+      throw connectionRefused();
+    },
+    health: async () => ({ ok: true, latencyMs: 5 })
+  };
+  const { appRunner } = await startWithLLM(llm, { llmBreakerFailures: 0, llmRetryBackoffMs: 60000 });
+  const before = Date.now();
+  await appRunner.pollNow();
+  const retries = () => appRunner.ctx.stateManager.listLLMRetries();
+  assert.strictEqual(calls, 3);
+  for (const entry of retries()) {
+    assert.ok(entry.next_attempt_at >= before + 60000 && entry.next_attempt_at <= Date.now() + 60000);
+  }
+
+  // Nothing is due yet, so another poll leaves the LLM alone.
+  await appRunner.retryLLM();
+  assert.strictEqual(calls, 3);
+
+  const m1 = appRunner.ctx.stateManager.getState().llm_retry.m1;
+  m1.next_attempt_at = Date.now() - 1;
+  const retriedAt = Date.now();
+  await appRunner.retryLLM();
+  assert.strictEqual(calls, 4);
+  const entry = retries().find((r) => r.id === 'm1');
+  assert.strictEqual(entry.attempts, 2);
+  assert.ok(entry.next_attempt_at >= retriedAt + 120000);
+});
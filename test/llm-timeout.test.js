@@ -56,6 +56,6 @@ test('handles LLM timeout gracefully', async () => {
   const state = appRunner.ctx.stateManager.getState();
   assert.ok(state.processed.slow1);
   assert.strictEqual(state.stats.notifications_sent, 0);
-  assert.ok(state.stats.llm.last_error);
+  assert.match(state.recent_decisions[0].reason, /^LLM failure: timeout exceeded/);
   assert.strictEqual(state.recent_sends.length, 0);
 });
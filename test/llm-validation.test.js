@@ -0,0 +1,220 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { startApp } from '../src/index.js';
+import { callLLM, validateLLMResponse } from '../src/llm.js';
+import { buildEmails, createMockGmail, createTwilioMock, tmpStatePath, cleanupFile, makeLLMStub } from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+const valid = {
+  message_packet: { title: 'Prod down', body: 'api01 is failing', urgency: 'high' },
+  confidence: 0.9,
+  reason: 'outage',
+  notify: true
+};
+
+// Fake chat-completions server: answers with the queued contents in order, then the valid answer.
+// With rejectSchema it turns down requests carrying response_format like servers without support;
+// `failures` are [status, error] answers given to the first requests.
+const startLLMServer = async (contents, { rejectSchema = false, failures = [] } = {}) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      requests.push(payload);
+      res.setHeader('Content-Type', 'application/json');
+      if (failures.length) {
+        const [status, error] = failures.shift();
+        res.statusCode = status;
+        res.end(JSON.stringify({ error }));
+        return;
+      }
+      if (rejectSchema && payload.response_format) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ error: "'response_format.type' must be 'text'" }));
+        return;
+      }
+      const content = contents.length ? contents.shift() : JSON.stringify(valid);
+      res.end(JSON.stringify({ choices: [{ message: { content } }], usage: { total_tokens: 10 } }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  cleanupTasks.push(() => new Promise((resolve) => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+};
+
+test('validates LLM answers against the schema', () => {
+  assert.deepStrictEqual(validateLLMResponse(valid, { maxSmsChars: 900 }), []);
+  assert.deepStrictEqual(
+    validateLLMResponse(
+      { notify: 'false', confidence: 1.5, reason: '', message_packet: { title: 'x'.repeat(81), body: 'long body', urgency: 'urgent' } },
+      { maxSmsChars: 5 }
+    ),
+    [
+      'notify must be true or false (a JSON boolean)',
+      'confidence must be a number from 0 to 1',
+      'reason must be a non-empty string',
+      'message_packet.title must be at most 80 chars (got 81)',
+      'message_packet.body must be at most 5 chars (got 9)',
+      'message_packet.urgency must be one of low, normal, high'
+    ]
+  );
+  assert.deepStrictEqual(validateLLMResponse({ ...valid, message_packet: undefined }), [
+    'message_packet must be an object with title, body and urgency'
+  ]);
+});
+
+test('invalid answers are re-prompted with the errors until the repair limit', async () => {
+  const llm = await startLLMServer([JSON.stringify({ ...valid, notify: 'false' }), 'not json', 'still not json']);
+  const invalid = [];
+  const args = {
+    llmBaseUrl: llm.url,
+    model: 'local',
+    temperature: 0,
+    maxOutputTokens: 100,
+    timeoutMs: 5000,
+    emailObj: { message_id: 'm1', subject: 'Prod down' },
+    maxSmsChars: 900,
+    onInvalid: (errors) => invalid.push(errors)
+  };
+
+  await assert.rejects(callLLM({ ...args, repairAttempts: 1 }), /LLM response failed validation: Invalid JSON from LLM/);
+  assert.strictEqual(invalid.length, 2);
+  const repair = llm.requests[1].messages.slice(-2);
+  assert.deepStrictEqual(repair[0], { role: 'assistant', content: JSON.stringify({ ...valid, notify: 'false' }) });
+  assert.match(repair[1].content, /- notify must be true or false/);
+
+  const res = await callLLM({ ...args, repairAttempts: 2 });
+  assert.strictEqual(res.parsed.notify, true);
+  assert.strictEqual(res.repairs, 1);
+  assert.strictEqual(res.tokens, 20);
+});
+
+test('a title or body that is still too long after the repairs is cut to fit', async () => {
+  const longTitle = `Production database cluster primary failover in progress ${'x'.repeat(30)}`;
+  const tooLong = JSON.stringify({ ...valid, message_packet: { ...valid.message_packet, title: longTitle, body: 'b'.repeat(20) } });
+  const llm = await startLLMServer([tooLong, tooLong]);
+  const invalid = [];
+  const res = await callLLM({
+    llmBaseUrl: llm.url,
+    model: 'local',
+    temperature: 0,
+    maxOutputTokens: 100,
+    timeoutMs: 5000,
+    emailObj: { message_id: 'm1', subject: 'Prod down' },
+    maxSmsChars: 10,
+    repairAttempts: 1,
+    onInvalid: (errors) => invalid.push(errors)
+  });
+
+  assert.strictEqual(longTitle.length, 87);
+  assert.strictEqual(invalid.length, 2);
+  assert.strictEqual(res.repairs, 1);
+  assert.strictEqual(res.parsed.notify, true);
+  assert.strictEqual(res.parsed.message_packet.title, longTitle.slice(0, 80));
+  assert.strictEqual(res.parsed.message_packet.body, 'b'.repeat(10));
+
+  // Anything else wrong alongside the length still fails.
+  const broken = await startLLMServer([
+    JSON.stringify({ ...valid, notify: 'yes', message_packet: { ...valid.message_packet, title: longTitle } })
+  ]);
+  await assert.rejects(
+    callLLM({ llmBaseUrl: broken.url, model: 'local', emailObj: { message_id: 'm1' }, maxSmsChars: 900 }),
+    /LLM response failed validation: notify must be true or false/
+  );
+});
+
+test('sends the schema as response_format and falls back when the server rejects it', async () => {
+  const args = {
+    model: 'local',
+    temperature: 0,
+    maxOutputTokens: 100,
+    timeoutMs: 5000,
+    emailObj: { message_id: 'm1', subject: 'Prod down' },
+    maxSmsChars: 900,
+    structuredOutput: 'auto'
+  };
+  const supported = await startLLMServer([]);
+  const res = await callLLM({ ...args, llmBaseUrl: supported.url });
+  assert.strictEqual(res.outputMode, 'json_schema');
+  const format = supported.requests[0].response_format;
+  assert.strictEqual(format.type, 'json_schema');
+  assert.deepStrictEqual(format.json_schema.schema.properties.message_packet.properties.urgency.enum, ['low', 'normal', 'high']);
+  assert.strictEqual(format.json_schema.schema.properties.message_packet.properties.body.maxLength, 900);
+
+  const rejecting = await startLLMServer([], { rejectSchema: true });
+  assert.strictEqual((await callLLM({ ...args, llmBaseUrl: rejecting.url })).outputMode, 'prompt');
+  // The rejection is remembered, so later calls skip the probe.
+  assert.strictEqual((await callLLM({ ...args, llmBaseUrl: rejecting.url })).outputMode, 'prompt');
+  assert.deepStrictEqual(rejecting.requests.map((r) => !!r.response_format), [true, false, false]);
+
+  // `on` does not fall back, and `off` never sends the schema.
+  await assert.rejects(callLLM({ ...args, llmBaseUrl: rejecting.url, structuredOutput: 'on' }), /status code 400/);
+  const plain = await startLLMServer([]);
+  assert.strictEqual((await callLLM({ ...args, llmBaseUrl: plain.url, structuredOutput: 'off' })).outputMode, 'prompt');
+  assert.strictEqual(plain.requests[0].response_format, undefined);
+});
+
+test('an unrelated 400 does not turn structured output off', async () => {
+  const args = {
+    model: 'local',
+    temperature: 0,
+    maxOutputTokens: 100,
+    timeoutMs: 5000,
+    emailObj: { message_id: 'm1', subject: 'Prod down' },
+    maxSmsChars: 900,
+    structuredOutput: 'auto'
+  };
+  const llm = await startLLMServer([], { failures: [[400, 'This model maximum context length is 4096 tokens']] });
+
+  await assert.rejects(callLLM({ ...args, llmBaseUrl: llm.url }), /status code 400/);
+  assert.strictEqual((await callLLM({ ...args, llmBaseUrl: llm.url })).outputMode, 'json_schema');
+  assert.deepStrictEqual(llm.requests.map((r) => !!r.response_format), [true, true]);
+});
+
+test('validation failures, repairs and output modes are counted in the stats', async () => {
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  const llm = await startLLMServer([JSON.stringify({ ...valid, message_packet: { ...valid.message_packet, urgency: 'HIGH!' } })]);
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'twilio',
+      twilioFrom: '+10000000000',
+      twilioTo: '+19999999999',
+      statePath,
+      senderRulesPath: '',
+      llmBaseUrl: llm.url,
+      dryRun: false
+    },
+    gmailClient: createMockGmail(buildEmails(['m1'])),
+    twilioClient: createTwilioMock('success'),
+    llmHealthChecker: makeLLMStub().health,
+    startPolling: false,
+    startServer: false,
+    skipTwilioStartupCheck: true
+  });
+  cleanupTasks.push(() => appRunner.stop());
+  await appRunner.pollNow();
+
+  const state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(state.stats.llm_validation_failures, 1);
+  assert.strictEqual(state.stats.llm_repairs, 1);
+  assert.deepStrictEqual(state.stats.llm_output_modes, { json_schema: 1, prompt: 0 });
+  assert.strictEqual(state.recent_decisions[0].llm_output_mode, 'json_schema');
+  assert.strictEqual(state.recent_decisions[0].message_packet.urgency, 'high');
+  assert.strictEqual(state.recent_sends.length, 1);
+});
@@ -0,0 +1,123 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { buildEmails, startTestApp } from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+// Pushover stub that fails the first `failures` sends.
+const flakyPushover = (failures) => {
+  const calls = [];
+  const sender = async (opts) => {
+    calls.push(opts);
+    if (calls.length <= sender.failures) throw new Error(`Pushover 500 (call ${calls.length})`);
+    return { receipt: `R-${calls.length}` };
+  };
+  sender.failures = failures;
+  sender.calls = calls;
+  return sender;
+};
+
+const startRetryApp = ({ pushoverSender, configOverrides = {}, startServer = false }) =>
+  startTestApp(
+    { notifyRetryBackoffMs: 0, notifyRetryMaxAttempts: 5, ...configOverrides },
+    { emails: buildEmails(['m1']), pushoverSender, startServer, cleanupTasks }
+  );
+
+test('failed sends are persisted to the retry queue and retried with backoff until delivered', async () => {
+  const sender = flakyPushover(2);
+  const { appRunner, statePath } = await startRetryApp({ pushoverSender: sender });
+
+  await appRunner.pollNow();
+  const persisted = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+  assert.strictEqual(persisted.notification_retries.length, 1);
+  assert.strictEqual(persisted.notification_retries[0].attempts, 1);
+  assert.strictEqual(persisted.notification_retries[0].channel, 'pushover');
+  assert.match(persisted.notification_retries[0].last_error, /call 1/);
+  // Only the fields needed to resend are kept, not the email analysis.
+  assert.strictEqual(persisted.notification_retries[0].decision.id, 'm1');
+  assert.strictEqual(persisted.notification_retries[0].decision.analysis, undefined);
+  assert.strictEqual(persisted.notification_retries[0].decision.trim_stats, undefined);
+
+  await appRunner.retryNotifications();
+  let state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(state.notification_retries[0].attempts, 2);
+
+  await appRunner.retryNotifications();
+  state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(sender.calls.length, 3);
+  assert.strictEqual(state.notification_retries.length, 0);
+  assert.strictEqual(state.dead_letters.length, 0);
+  assert.deepStrictEqual(
+    state.recent_sends.map((s) => [s.status, s.attempt]),
+    [
+      ['failed', undefined],
+      ['sent', 3]
+    ]
+  );
+  assert.strictEqual(state.recent_sends[1].decision_id, 'm1');
+  assert.strictEqual(state.stats.notifications_sent, 1);
+});
+
+test('retries wait for their backoff before the next attempt', async () => {
+  const sender = flakyPushover(1);
+  const { appRunner } = await startRetryApp({
+    pushoverSender: sender,
+    configOverrides: { notifyRetryBackoffMs: 60 * 60 * 1000 }
+  });
+
+  await appRunner.pollNow();
+  await appRunner.retryNotifications();
+
+  assert.strictEqual(sender.calls.length, 1);
+  const [entry] = appRunner.ctx.stateManager.getState().notification_retries;
+  assert.ok(entry.next_attempt_at >= Date.now() + 59 * 60 * 1000);
+});
+
+test('exhausted retries become dead letters that can be resent from the dashboard API', async () => {
+  const sender = flakyPushover(Infinity);
+  const { appRunner } = await startRetryApp({
+    pushoverSender: sender,
+    configOverrides: { notifyRetryMaxAttempts: 2 },
+    startServer: true
+  });
+  const base = `http://127.0.0.1:${appRunner.server.address().port}`;
+
+  await appRunner.pollNow();
+  await appRunner.retryNotifications();
+
+  const status = appRunner.getStatus();
+  assert.strictEqual(status.notification_retries.length, 0);
+  assert.strictEqual(status.dead_letters.length, 1);
+  const [dead] = status.dead_letters;
+  assert.strictEqual(dead.attempts, 2);
+  assert.strictEqual(dead.subject, 'Urgent: production down');
+  assert.strictEqual(dead.decision, undefined);
+  assert.strictEqual(appRunner.ctx.stateManager.getState().dead_letters[0].decision.analysis, undefined);
+
+  const missing = await fetch(`${base}/api/dead-letters/nope/resend`, { method: 'POST' });
+  assert.strictEqual(missing.status, 404);
+
+  const failed = await fetch(`${base}/api/dead-letters/${encodeURIComponent(dead.id)}/resend`, { method: 'POST' });
+  assert.strictEqual(failed.status, 502);
+  assert.strictEqual(appRunner.getStatus().dead_letters[0].attempts, 3);
+
+  sender.failures = 0;
+  const ok = await fetch(`${base}/api/dead-letters/${encodeURIComponent(dead.id)}/resend`, { method: 'POST' });
+  assert.strictEqual(ok.status, 200);
+  assert.deepStrictEqual(await ok.json(), { ok: true, notification_id: 'R-4' });
+
+  const state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(state.dead_letters.length, 0);
+  assert.strictEqual(state.recent_sends.at(-1).status, 'sent');
+  assert.strictEqual(state.recent_sends.at(-1).attempt, 4);
+});
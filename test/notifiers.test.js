@@ -0,0 +1,140 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { startApp } from '../src/index.js';
+import { registerNotifier, createNotifier, listNotifiers } from '../src/notifiers.js';
+import {
+  buildEmails,
+  createMockGmail,
+  tmpStatePath,
+  cleanupFile,
+  fixtures,
+  makeLLMStub,
+  createTwilioMock
+} from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+const startWith = async (notificationService, extra = {}) => {
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  const llmStub = makeLLMStub(fixtures.llm.positive);
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService,
+      port: 0,
+      statePath,
+      pollIntervalMs: 1000,
+      pollMaxResults: 5,
+      dryRun: false
+    },
+    gmailClient: createMockGmail(buildEmails(['m1', 'm2'])),
+    llmCaller: llmStub.caller,
+    llmHealthChecker: llmStub.health,
+    startPolling: false,
+    startServer: false,
+    ...extra
+  });
+  cleanupTasks.push(() => appRunner.stop());
+  return appRunner;
+};
+
+test('registry exposes built-in notifiers and returns null for unknown names', () => {
+  assert.ok(listNotifiers().includes('twilio'));
+  assert.ok(listNotifiers().includes('pushover'));
+  assert.strictEqual(createNotifier('carrier-pigeon', { config: {} }), null);
+  assert.strictEqual(createNotifier('PUSHOVER', { config: {} }).name, 'pushover');
+});
+
+test('custom notifier registered by name handles startup check, sends and health', async () => {
+  const sent = [];
+  registerNotifier('memo', ({ config }) => ({
+    name: 'memo',
+    tag: 'MEMO',
+    target: () => ({ to: 'inbox' }),
+    check: async () => ({ ok: true }),
+    send: async (payload) => {
+      sent.push({ ...payload, dryRun: config.dryRun });
+      return { id: `memo-${sent.length}`, fields: { memo_id: `memo-${sent.length}` }, logFields: {} };
+    }
+  }));
+
+  const appRunner = await startWith('memo');
+  await appRunner.pollNow();
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].title, 'Prod issue');
+  assert.strictEqual(sent[0].urgency, 'high');
+  assert.strictEqual(sent[0].kind, 'decision');
+  assert.match(sent[0].message, /Fix ASAP/);
+
+  const state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(state.recent_sends.length, 1);
+  assert.strictEqual(state.recent_sends[0].notification_provider, 'memo');
+  assert.strictEqual(state.recent_sends[0].notification_id, 'memo-1');
+  assert.strictEqual(state.recent_sends[0].memo_id, 'memo-1');
+  assert.ok(state.stats.memo.startup_ok_at > 0);
+
+  const status = appRunner.getStatus();
+  assert.strictEqual(status.health.notification.service, 'memo');
+  assert.strictEqual(status.health.memo.ok, true);
+});
+
+test('unknown notification service reports unhealthy and records a failed send', async () => {
+  const appRunner = await startWith('carrier-pigeon');
+  await appRunner.pollNow();
+
+  const state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(state.recent_sends.length, 1);
+  assert.strictEqual(state.recent_sends[0].status, 'failed');
+  assert.strictEqual(state.stats.notifications_sent, 0);
+  assert.strictEqual(state.processed.m1.status, 'ok');
+
+  const status = appRunner.getStatus();
+  assert.strictEqual(status.health.notification.ok, false);
+  assert.match(status.health.notification.last_error, /not recognized: carrier-pigeon/);
+});
+
+test('fans out to every configured channel and records each result separately', async () => {
+  const pushoverCalls = [];
+  const appRunner = await startWith('twilio, pushover', {
+    twilioClient: createTwilioMock('fail'),
+    pushoverSender: async (opts) => {
+      pushoverCalls.push(opts);
+      return { receipt: 'R-1' };
+    },
+    pushoverValidator: async () => ({ ok: true })
+  });
+  await appRunner.pollNow();
+
+  assert.strictEqual(pushoverCalls.length, 1, 'twilio failure must not block pushover');
+
+  const state = appRunner.ctx.stateManager.getState();
+  const byProvider = Object.fromEntries(state.recent_sends.map((s) => [s.notification_provider, s]));
+  assert.strictEqual(state.recent_sends.length, 2);
+  assert.strictEqual(byProvider.twilio.status, 'failed');
+  assert.match(byProvider.twilio.error, /twilio send failed/);
+  assert.strictEqual(byProvider.pushover.status, 'sent');
+  assert.strictEqual(byProvider.pushover.pushover_receipt, 'R-1');
+  assert.strictEqual(byProvider.pushover.decision_id, 'm1');
+  assert.strictEqual(state.stats.notifications_sent, 1);
+
+  const status = appRunner.getStatus();
+  assert.deepStrictEqual(
+    status.health.notification_channels.map((c) => [c.service, c.ok]),
+    [
+      ['twilio', false],
+      ['pushover', true]
+    ]
+  );
+  assert.strictEqual(status.health.notification.ok, false);
+  assert.strictEqual(status.health.pushover.ok, true);
+});
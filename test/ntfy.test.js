@@ -0,0 +1,170 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { startApp } from '../src/index.js';
+import { sendNtfy, checkNtfyCredentials, createNtfyNotifier } from '../src/ntfy.js';
+import { buildEmails, createMockGmail, tmpStatePath, cleanupFile, fixtures, makeLLMStub } from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+const startNtfyApp = async ({ ntfySender, ntfyValidator }) => {
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  const llmStub = makeLLMStub(fixtures.llm.positive);
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'ntfy',
+      ntfyUrl: 'https://ntfy.example.com/mail-alerts',
+      ntfyToken: 'tk_test',
+      port: 0,
+      statePath,
+      dryRun: false
+    },
+    gmailClient: createMockGmail(buildEmails(['m1'])),
+    ntfySender,
+    ntfyValidator,
+    llmCaller: llmStub.caller,
+    llmHealthChecker: llmStub.health,
+    startPolling: false,
+    startServer: false
+  });
+  cleanupTasks.push(() => appRunner.stop());
+  return appRunner;
+};
+
+test('sendNtfy publishes JSON with title, priority, click and a bearer token', async () => {
+  const calls = [];
+  const httpClient = {
+    post: async (url, body, opts) => {
+      calls.push({ url, body, headers: opts.headers });
+      return { data: { id: 'abc123' } };
+    }
+  };
+  const res = await sendNtfy({
+    topicUrl: 'https://ntfy.example.com/mail-alerts',
+    token: 'tk_test',
+    title: 'Prod\nissue',
+    message: 'Fix ASAP',
+    priority: 5,
+    click: 'https://mail.google.com/mail/u/0/#inbox/t1',
+    tags: 'warning, mail',
+    httpClient
+  });
+
+  assert.strictEqual(res.id, 'abc123');
+  assert.strictEqual(calls[0].url, 'https://ntfy.example.com');
+  assert.deepStrictEqual(calls[0].body, {
+    topic: 'mail-alerts',
+    title: 'Prod issue',
+    message: 'Fix ASAP',
+    priority: 5,
+    click: 'https://mail.google.com/mail/u/0/#inbox/t1',
+    tags: ['warning', 'mail']
+  });
+  assert.deepStrictEqual(calls[0].headers, { Authorization: 'Bearer tk_test', 'Content-Type': 'application/json' });
+});
+
+test('sendNtfy delivers non-ASCII titles to a real server', async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ url: req.url, body: JSON.parse(body) });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ id: `n${received.length}` }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  cleanupTasks.push(() => new Promise((resolve) => server.close(resolve)));
+  const topicUrl = `http://127.0.0.1:${server.address().port}/ntfy/mail-alerts`;
+
+  for (const title of ['Rechnung fällig ☕', '会议']) {
+    await sendNtfy({ topicUrl, title, message: 'Bitte prüfen' });
+  }
+
+  assert.deepStrictEqual(
+    received.map((r) => [r.url, r.body.topic, r.body.title]),
+    [
+      ['/ntfy', 'mail-alerts', 'Rechnung fällig ☕'],
+      ['/ntfy', 'mail-alerts', '会议']
+    ]
+  );
+});
+
+test('ntfy notifier logs the server host, never the topic', () => {
+  const notifier = createNtfyNotifier({ config: { ntfyUrl: 'https://ntfy.sh/secret-topic-123' } });
+  assert.deepStrictEqual(notifier.target(), { host: 'ntfy.sh' });
+});
+
+test('checkNtfyCredentials probes the topic auth endpoint', async () => {
+  const urls = [];
+  const ok = await checkNtfyCredentials({
+    topicUrl: 'https://ntfy.example.com/mail-alerts/',
+    httpClient: { get: async (url) => urls.push(url) }
+  });
+  assert.deepStrictEqual(ok, { ok: true });
+  assert.deepStrictEqual(urls, ['https://ntfy.example.com/mail-alerts/auth']);
+
+  const denied = await checkNtfyCredentials({
+    topicUrl: 'https://ntfy.example.com/mail-alerts',
+    httpClient: {
+      get: async () => {
+        const err = new Error('Request failed with status code 403');
+        err.response = { data: { error: 'forbidden' } };
+        throw err;
+      }
+    }
+  });
+  assert.deepStrictEqual(denied, { ok: false, error: 'forbidden' });
+  assert.deepStrictEqual(await checkNtfyCredentials({}), { ok: false, error: 'Missing NTFY_URL' });
+});
+
+test('ntfy notifier maps urgency to priority and links to Gmail', async () => {
+  const calls = [];
+  const appRunner = await startNtfyApp({
+    ntfySender: async (opts) => {
+      calls.push(opts);
+      return { id: 'N-1' };
+    },
+    ntfyValidator: async () => ({ ok: true })
+  });
+
+  await appRunner.pollNow();
+
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].priority, 5);
+  assert.match(calls[0].click, /^https:\/\/mail\.google\.com\//);
+  assert.strictEqual(calls[0].token, 'tk_test');
+
+  const state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(state.recent_sends[0].notification_provider, 'ntfy');
+  assert.strictEqual(state.recent_sends[0].ntfy_id, 'N-1');
+  const health = appRunner.getStatus().health;
+  assert.strictEqual(health.ntfy.ok, true);
+  assert.strictEqual(health.notification.ok, true);
+});
+
+test('failed ntfy startup check is reported in health', async () => {
+  const appRunner = await startNtfyApp({
+    ntfySender: async () => ({ id: 'N-1' }),
+    ntfyValidator: async () => ({ ok: false, error: 'forbidden' })
+  });
+
+  const health = appRunner.getStatus().health;
+  assert.strictEqual(health.ntfy.ok, false);
+  assert.strictEqual(health.ntfy.last_error, 'forbidden');
+  assert.strictEqual(health.notification.ok, false);
+});
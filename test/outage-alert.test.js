@@ -49,7 +49,7 @@ test('sends a single outage alert via Pushover when LLM fails but notifications
     pushoverSender,
     pushoverValidator: async () => ({ ok: true }),
     llmCaller: async () => {
-      throw new Error('LLM offline');
+      throw Object.assign(new Error('LLM offline'), { code: 'ECONNREFUSED' });
     },
     llmHealthChecker: async () => ({ ok: false, error: 'LLM offline' }),
     startPolling: false,
@@ -0,0 +1,109 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { buildEmails, startTestApp } from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+// Fake api.pushover.net: validate, send (one receipt per message) and receipt lookups.
+const startFakePushover = async () => {
+  const fake = { messages: [], receiptLookups: [], receipts: {} };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const reply = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      if (url.pathname === '/1/users/validate.json') return reply(200, { status: 1 });
+      if (url.pathname === '/1/messages.json') {
+        fake.messages.push(JSON.parse(body));
+        const receipt = `RCPT${fake.messages.length}`;
+        fake.receipts[receipt] = { status: 1, acknowledged: 0, expired: 0, called_back: 0 };
+        return reply(200, { status: 1, receipt, request: `req-${fake.messages.length}` });
+      }
+      const match = /^\/1\/receipts\/(.+)\.json$/.exec(url.pathname);
+      if (match) {
+        fake.receiptLookups.push({ receipt: match[1], token: url.searchParams.get('token') });
+        const receipt = fake.receipts[match[1]];
+        return receipt ? reply(200, receipt) : reply(404, { status: 0, errors: ['receipt not found'] });
+      }
+      return reply(404, { status: 0 });
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  cleanupTasks.push(() => new Promise((resolve) => server.close(resolve)));
+  fake.url = `http://127.0.0.1:${server.address().port}`;
+  return fake;
+};
+
+// Real Pushover sender and validator, pointed at the fake API.
+const startPushoverApp = async (fake) => {
+  const { appRunner } = await startTestApp(
+    { pushoverApiUrl: fake.url },
+    { emails: buildEmails(['m1']), pushoverSender: undefined, pushoverValidator: undefined, cleanupTasks }
+  );
+  return appRunner;
+};
+
+test('polls emergency receipts until acknowledged and records the acknowledging device', async () => {
+  const fake = await startFakePushover();
+  const appRunner = await startPushoverApp(fake);
+
+  await appRunner.pollNow();
+  assert.strictEqual(fake.messages.length, 1);
+  assert.strictEqual(fake.messages[0].priority, 2);
+
+  await appRunner.pollReceipts();
+  let send = appRunner.ctx.stateManager.getState().recent_sends[0];
+  assert.strictEqual(send.pushover_receipt, 'RCPT1');
+  assert.strictEqual(send.pushover_ack.acknowledged, false);
+  assert.strictEqual(send.pushover_ack.expired, false);
+  assert.deepStrictEqual(fake.receiptLookups, [{ receipt: 'RCPT1', token: 'PUSHOVER_TOKEN' }]);
+
+  fake.receipts.RCPT1 = {
+    status: 1,
+    acknowledged: 1,
+    acknowledged_at: 1700000000,
+    acknowledged_by_device: 'pixel',
+    expired: 0,
+    called_back: 0
+  };
+  await appRunner.pollReceipts();
+  send = appRunner.ctx.stateManager.getState().recent_sends[0];
+  assert.strictEqual(send.pushover_ack.acknowledged, true);
+  assert.strictEqual(send.pushover_ack.acknowledged_at, 1700000000 * 1000);
+  assert.strictEqual(send.pushover_ack.acknowledged_by_device, 'pixel');
+
+  // Acknowledged receipts are final and no longer polled.
+  await appRunner.pollReceipts();
+  assert.strictEqual(fake.receiptLookups.length, 2);
+});
+
+test('unknown receipts are marked expired and not polled again', async () => {
+  const fake = await startFakePushover();
+  const appRunner = await startPushoverApp(fake);
+
+  await appRunner.pollNow();
+  delete fake.receipts.RCPT1;
+  await appRunner.pollReceipts();
+  await appRunner.pollReceipts();
+
+  const send = appRunner.ctx.stateManager.getState().recent_sends[0];
+  assert.strictEqual(send.pushover_ack.expired, true);
+  assert.strictEqual(send.pushover_ack.error, 'receipt not found');
+  assert.strictEqual(fake.receiptLookups.length, 1);
+});
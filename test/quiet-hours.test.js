@@ -0,0 +1,173 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { startApp } from '../src/index.js';
+import { parseQuietWindows, isQuietAt, quietWindowsFor, minutesInTimezone, validateQuietHours } from '../src/quiet_hours.js';
+import { createStateManager } from '../src/state.js';
+import {
+  buildEmails,
+  createMockGmail,
+  createTwilioMock,
+  tmpStatePath,
+  cleanupFile,
+  makeLLMStub
+} from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+test('parses windows and handles ranges that wrap past midnight', () => {
+  const windows = parseQuietWindows('22:00-07:00, 12:30-13:00');
+  assert.deepStrictEqual(windows, [
+    { start: 22 * 60, end: 7 * 60 },
+    { start: 12 * 60 + 30, end: 13 * 60 }
+  ]);
+  const at = (iso) => Date.parse(iso);
+  assert.strictEqual(isQuietAt(windows, at('2024-03-01T03:00:00Z'), 'UTC'), true);
+  assert.strictEqual(isQuietAt(windows, at('2024-03-01T23:15:00Z'), 'UTC'), true);
+  assert.strictEqual(isQuietAt(windows, at('2024-03-01T07:00:00Z'), 'UTC'), false);
+  assert.strictEqual(isQuietAt(windows, at('2024-03-01T12:45:00Z'), 'UTC'), true);
+  assert.strictEqual(isQuietAt(windows, at('2024-03-01T03:00:00Z'), 'America/New_York'), true);
+  assert.strictEqual(isQuietAt(windows, at('2024-03-01T15:00:00Z'), 'America/New_York'), false);
+  assert.strictEqual(minutesInTimezone(at('2024-03-01T00:05:00Z'), 'UTC'), 5);
+  assert.deepStrictEqual(parseQuietWindows('off'), []);
+  assert.throws(() => parseQuietWindows('25:00-07:00'), /Invalid quiet hours window/);
+});
+
+test('per-urgency overrides replace the default window', () => {
+  const config = { quietHours: '22:00-07:00', quietHoursByUrgency: { high: 'off', low: '20:00-09:00', normal: '' } };
+  assert.deepStrictEqual(quietWindowsFor(config, 'high'), []);
+  assert.deepStrictEqual(quietWindowsFor(config, 'low'), [{ start: 20 * 60, end: 9 * 60 }]);
+  assert.deepStrictEqual(quietWindowsFor(config, 'normal'), [{ start: 22 * 60, end: 7 * 60 }]);
+});
+
+test('an invalid quiet hours spec stops startup', async () => {
+  assert.doesNotThrow(() => validateQuietHours({ quietHours: '22:00-07:00', quietHoursByUrgency: { high: 'off', low: '' } }));
+  assert.throws(
+    () => validateQuietHours({ quietHours: '22:00-07:00', quietHoursByUrgency: { low: '9pm-7am' } }),
+    /QUIET_HOURS_LOW: Invalid quiet hours window: 9pm-7am/
+  );
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  await assert.rejects(
+    startApp({
+      configOverrides: { quietHours: '25:00-07:00', port: 0, statePath },
+      gmailClient: createMockGmail([]),
+      startPolling: false,
+      skipTwilioStartupCheck: true,
+      startServer: false
+    }),
+    /QUIET_HOURS: Invalid quiet hours window/
+  );
+});
+
+test('defers notifications during quiet hours and flushes one summary afterwards', async () => {
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  const pushoverCalls = [];
+  const llmStub = makeLLMStub({
+    m1: { notify: true, title: 'Prod issue', urgency: 'high' },
+    m2: { notify: true, title: 'Lunch?', urgency: 'normal' },
+    twiliofail1: { notify: true, title: 'Invoice due', urgency: 'normal' }
+  });
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'pushover',
+      quietHours: '00:00-24:00',
+      quietHoursByUrgency: { high: 'off' },
+      port: 0,
+      statePath,
+      dryRun: false,
+      pushoverToken: 'PUSHOVER_TOKEN',
+      pushoverUser: 'PUSHOVER_USER'
+    },
+    gmailClient: createMockGmail(buildEmails(['m1', 'm2', 'twiliofail1'])),
+    twilioClient: createTwilioMock('success'),
+    pushoverSender: async (opts) => {
+      pushoverCalls.push(opts);
+      return { receipt: `R-${pushoverCalls.length}` };
+    },
+    llmCaller: llmStub.caller,
+    llmHealthChecker: llmStub.health,
+    startPolling: false,
+    skipTwilioStartupCheck: true,
+    startServer: false
+  });
+  cleanupTasks.push(() => appRunner.stop());
+
+  await appRunner.pollNow();
+
+  assert.strictEqual(pushoverCalls.length, 1, 'high urgency bypasses quiet hours');
+  assert.strictEqual(pushoverCalls[0].title, 'Prod issue');
+  const state = appRunner.ctx.stateManager.getState();
+  assert.deepStrictEqual(state.deferred_notifications.map((d) => d.decision_id).sort(), ['m2', 'twiliofail1']);
+  assert.strictEqual(appRunner.getStatus().deferred_notifications.length, 2);
+
+  // Deferred items survive a restart because they live in state.json.
+  const reloaded = createStateManager({ statePath, maxProcessedIds: 100, recentLimit: 100 });
+  await reloaded.load();
+  assert.strictEqual(reloaded.getState().deferred_notifications.length, 2);
+
+  await appRunner.flushDeferred();
+  assert.strictEqual(pushoverCalls.length, 1, 'still quiet: nothing flushed');
+
+  appRunner.ctx.config.quietHours = '';
+  await appRunner.flushDeferred();
+
+  assert.strictEqual(pushoverCalls.length, 2);
+  const digest = pushoverCalls[1];
+  assert.strictEqual(digest.priority, 0);
+  assert.match(digest.title, /2 held notifications/);
+  assert.match(digest.message, /Lunch\?/);
+  assert.match(digest.message, /Invoice due/);
+  assert.strictEqual(state.deferred_notifications.length, 0);
+
+  const digestSend = state.recent_sends.at(-1);
+  assert.strictEqual(digestSend.reason, 'quiet_hours_digest');
+  assert.deepStrictEqual(digestSend.digest_items.map((i) => i.decision_id).sort(), ['m2', 'twiliofail1']);
+});
+
+test('notifications held by SNOOZE are summarized as a snooze, not quiet hours', async () => {
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  const pushoverCalls = [];
+  const llmStub = makeLLMStub({ m1: { notify: true, title: 'Lunch?', urgency: 'normal' } });
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'pushover',
+      port: 0,
+      statePath,
+      dryRun: false,
+      pushoverToken: 'PUSHOVER_TOKEN',
+      pushoverUser: 'PUSHOVER_USER'
+    },
+    gmailClient: createMockGmail(buildEmails(['m1'])),
+    pushoverSender: async (opts) => {
+      pushoverCalls.push(opts);
+      return { receipt: `R-${pushoverCalls.length}` };
+    },
+    llmCaller: llmStub.caller,
+    llmHealthChecker: llmStub.health,
+    startPolling: false,
+    skipTwilioStartupCheck: true,
+    startServer: false
+  });
+  cleanupTasks.push(() => appRunner.stop());
+
+  appRunner.ctx.stateManager.setSnoozeUntil(Date.now() + 60 * 60 * 1000);
+  await appRunner.pollNow();
+  assert.strictEqual(pushoverCalls.length, 0);
+  assert.strictEqual(appRunner.ctx.stateManager.getState().deferred_notifications[0].held_by, 'snooze');
+
+  appRunner.ctx.stateManager.setSnoozeUntil(0);
+  await appRunner.flushDeferred();
+  assert.strictEqual(pushoverCalls.length, 1);
+  assert.strictEqual(pushoverCalls[0].title, 'Snooze ended: 1 held notification');
+});
@@ -0,0 +1,153 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { senderKey, exceededCap } from '../src/rate_limit.js';
+import { base64UrlEncode, makeRawEmail, tmpStatePath, cleanupFile, makeLLMStub, startTestApp } from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+const floodEmails = (senders) =>
+  senders.map((from, idx) => ({
+    id: `flood${idx + 1}`,
+    threadId: `t-flood${idx + 1}`,
+    raw: base64UrlEncode(
+      makeRawEmail({ from, to: 'me@example.com', subject: `Alert ${idx + 1}`, body: 'Something broke again' })
+    )
+  }));
+
+const startFloodApp = (senders, configOverrides, { urgency = 'normal', senderRulesPath } = {}) =>
+  startTestApp(
+    { ...(senderRulesPath ? { senderRulesPath } : {}), ...configOverrides },
+    {
+      emails: floodEmails(senders),
+      llm: makeLLMStub({ default: { notify: true, title: 'Alert', urgency } }),
+      cleanupTasks
+    }
+  );
+
+test('senderKey normalizes display names and case', () => {
+  assert.strictEqual(senderKey('"Ops Bot" <Alerts@Example.com>'), 'alerts@example.com');
+  assert.strictEqual(senderKey('alerts@example.com'), 'alerts@example.com');
+});
+
+test('per-sender cap suppresses the flood and later sends one summary', async () => {
+  const flooder = 'Noisy <noisy@example.com>';
+  const { appRunner, pushoverCalls } = await startFloodApp(
+    [flooder, flooder, flooder, flooder, flooder, 'Boss <boss@example.com>'],
+    { notifyMaxPerSenderPerHour: 2 }
+  );
+
+  await appRunner.pollNow();
+
+  assert.strictEqual(pushoverCalls.length, 3);
+  let state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(state.rate_limit.suppressed.length, 3);
+  assert.ok(state.rate_limit.suppressed.every((item) => item.cap === 'sender_hourly'));
+  assert.strictEqual(state.stats.notifications_suppressed, 3);
+  assert.strictEqual(appRunner.getStatus().stats.suppressed_pending, 3);
+
+  // Still inside the window: the summary waits.
+  await appRunner.flushSuppressed();
+  assert.strictEqual(pushoverCalls.length, 3);
+
+  // Age the recorded sends out of the hourly window.
+  state.rate_limit.events.forEach((e) => {
+    e.at -= 2 * 60 * 60 * 1000;
+  });
+  await appRunner.flushSuppressed();
+
+  assert.strictEqual(pushoverCalls.length, 4);
+  assert.strictEqual(pushoverCalls[3].title, '3 more notifications suppressed (rate limit)');
+  assert.strictEqual(pushoverCalls[3].priority, 0);
+  state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(state.rate_limit.suppressed.length, 0);
+  const summary = state.recent_sends.at(-1);
+  assert.strictEqual(summary.reason, 'rate_limit_summary');
+  assert.strictEqual(summary.digest_items.length, 3);
+  assert.strictEqual(state.stats.notifications_suppressed, 3);
+});
+
+test('summaries and thread updates do not count as one sender', async () => {
+  const now = Date.now();
+  const config = { notifyMaxPerSenderPerHour: 2 };
+  const summaries = [1, 2, 3].map(() => ({ at: now, sender: null }));
+  assert.strictEqual(exceededCap(config, summaries, null, now), null);
+  assert.strictEqual(exceededCap({ ...config, notifyMaxPerHour: 3 }, summaries, null, now), 'hourly');
+
+  const flooder = 'Noisy <noisy@example.com>';
+  const { appRunner, pushoverCalls } = await startFloodApp([flooder, flooder, flooder], config);
+  await appRunner.pollNow();
+  const state = appRunner.ctx.stateManager.getState();
+  state.rate_limit.events.forEach((e) => {
+    e.at -= 2 * 60 * 60 * 1000;
+  });
+  state.rate_limit.events.push(...summaries);
+
+  await appRunner.flushSuppressed();
+
+  assert.strictEqual(pushoverCalls.length, 3);
+  assert.strictEqual(pushoverCalls[2].title, '1 more notification suppressed (rate limit)');
+});
+
+test('global hourly cap applies across senders', async () => {
+  const { appRunner, pushoverCalls } = await startFloodApp(
+    ['a@example.com', 'b@example.com', 'c@example.com', 'd@example.com'],
+    { notifyMaxPerHour: 2 }
+  );
+
+  await appRunner.pollNow();
+
+  assert.strictEqual(pushoverCalls.length, 2);
+  const { suppressed } = appRunner.ctx.stateManager.getState().rate_limit;
+  assert.deepStrictEqual(
+    suppressed.map((item) => item.cap),
+    ['hourly', 'hourly']
+  );
+});
+
+test('high urgency and always-notify sender rules are never capped', async () => {
+  const flooder = 'Pager <pager@example.com>';
+  const high = await startFloodApp([flooder, flooder, flooder], { notifyMaxPerSenderPerHour: 1 }, { urgency: 'high' });
+  await high.appRunner.pollNow();
+  assert.strictEqual(high.pushoverCalls.length, 3);
+  assert.strictEqual(high.appRunner.ctx.stateManager.getState().rate_limit.suppressed.length, 0);
+
+  const rulesPath = `${tmpStatePath()}.rules.json`;
+  cleanupTasks.push(() => cleanupFile(rulesPath));
+  fs.writeFileSync(rulesPath, JSON.stringify({ rules: [{ name: 'oncall', match: { from: 'pager@example.com' }, action: 'notify' }] }));
+  const forced = await startFloodApp([flooder, flooder, flooder], { notifyMaxPerSenderPerHour: 1 }, { senderRulesPath: rulesPath });
+  await forced.appRunner.pollNow();
+  assert.strictEqual(forced.pushoverCalls.length, 3);
+  assert.strictEqual(forced.appRunner.ctx.stateManager.getState().rate_limit.suppressed.length, 0);
+});
+
+test('the suppressed summary waits for quiet hours to end', async () => {
+  const flooder = 'Noisy <noisy@example.com>';
+  const { appRunner, pushoverCalls } = await startFloodApp([flooder, flooder], { notifyMaxPerSenderPerHour: 1 });
+
+  await appRunner.pollNow();
+  assert.strictEqual(pushoverCalls.length, 1);
+
+  const state = appRunner.ctx.stateManager.getState();
+  state.rate_limit.events.forEach((e) => {
+    e.at -= 2 * 60 * 60 * 1000;
+  });
+  appRunner.ctx.config.quietHours = '00:00-24:00';
+  await appRunner.flushSuppressed();
+  assert.strictEqual(pushoverCalls.length, 1, 'no summary during quiet hours');
+  assert.strictEqual(state.rate_limit.suppressed.length, 1);
+
+  appRunner.ctx.config.quietHours = '';
+  await appRunner.flushSuppressed();
+  assert.strictEqual(pushoverCalls.length, 2);
+  assert.strictEqual(pushoverCalls[1].title, '1 more notification suppressed (rate limit)');
+});
@@ -0,0 +1,99 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { startApp } from '../src/index.js';
+import {
+  base64UrlEncode,
+  buildEmails,
+  createMockGmail,
+  createTwilioMock,
+  makeRawEmail,
+  tmpStatePath,
+  cleanupFile,
+  makeLLMStub
+} from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+test('low-confidence decisions wait for review and can be approved or dismissed', async () => {
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  const sure = {
+    id: 'sure1',
+    threadId: 't-sure1',
+    raw: base64UrlEncode(
+      makeRawEmail({ from: 'Ops <ops@example.com>', to: 'me@example.com', subject: 'Disk full', body: 'db01 at 99%' })
+    )
+  };
+  const llmStub = makeLLMStub({
+    m1: { notify: true, title: 'Prod issue', urgency: 'high', confidence: 0.4 },
+    m2: { notify: false, title: 'Newsletter', confidence: 0.2 },
+    sure1: { notify: true, title: 'Disk full', confidence: 0.95 }
+  });
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'twilio',
+      twilioFrom: '+10000000000',
+      twilioTo: '+19999999999',
+      port: 0,
+      statePath,
+      senderRulesPath: '',
+      reviewNotifyConfidence: 0.6,
+      reviewRefusalConfidence: 0.5,
+      dryRun: false
+    },
+    gmailClient: createMockGmail([...buildEmails(['m1', 'm2']), sure]),
+    twilioClient: createTwilioMock('success'),
+    llmCaller: llmStub.caller,
+    llmHealthChecker: llmStub.health,
+    startPolling: false,
+    skipTwilioStartupCheck: true
+  });
+  cleanupTasks.push(() => appRunner.stop());
+  await appRunner.pollNow();
+
+  const state = () => appRunner.ctx.stateManager.getState();
+  const decision = (id) => state().recent_decisions.find((d) => d.id === id);
+  // Only the confident notification went out; the unsure ones are held.
+  assert.deepStrictEqual(state().recent_sends.map((s) => s.decision_id), ['sure1']);
+  const status = await appRunner.getStatus();
+  assert.deepStrictEqual(
+    status.review_queue.map((item) => [item.id, item.kind]).sort(),
+    [['m1', 'notify'], ['m2', 'refusal']]
+  );
+  assert.strictEqual(status.stats.review_pending, 2);
+  assert.deepStrictEqual(decision('m1').review, { kind: 'notify', status: 'pending' });
+
+  const base = `http://127.0.0.1:${appRunner.server.address().port}`;
+  const post = async (path) => {
+    const res = await fetch(`${base}${path}`, { method: 'POST' });
+    return { status: res.status, data: await res.json() };
+  };
+
+  assert.strictEqual((await post('/api/review/nope/approve')).status, 404);
+  assert.strictEqual((await post('/api/review/nope/dismiss')).status, 404);
+
+  const approved = await post('/api/review/m1/approve');
+  assert.deepStrictEqual(approved.data, { ok: true, channels: 1 });
+  const sent = state().recent_sends.find((s) => s.decision_id === 'm1');
+  assert.strictEqual(sent.notification_provider, 'twilio');
+  assert.strictEqual(sent.urgency, 'high');
+  assert.strictEqual(decision('m1').review.status, 'approved');
+  assert.ok(decision('m1').review.reviewed_at);
+
+  assert.deepStrictEqual((await post('/api/review/m2/dismiss')).data, { ok: true });
+  assert.strictEqual(decision('m2').review.status, 'dismissed');
+  assert.strictEqual(state().review_queue.length, 0);
+  assert.strictEqual(state().recent_sends.length, 2);
+
+  // Each item can only be resolved once.
+  assert.strictEqual((await post('/api/review/m1/approve')).status, 404);
+});
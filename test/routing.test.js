@@ -0,0 +1,147 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import { startApp } from '../src/index.js';
+import { normalizeRoutes, resolveRoute, loadRoutes } from '../src/routing.js';
+import {
+  buildEmails,
+  createMockGmail,
+  createTwilioMock,
+  tmpStatePath,
+  cleanupFile,
+  makeLLMStub
+} from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+const routes = normalizeRoutes({
+  routes: [
+    { name: 'vendor', match: { sender_domain: 'example.com', subject: 'production' }, channels: ['twilio'] },
+    { name: 'page', match: { urgency: ['high'] }, channels: { pushover: { priority: 2, sound: 'siren' } } },
+    { name: 'quiet', match: { urgency: 'low' }, channels: { pushover: { priority: -1 } } },
+    { name: 'mute', match: { urgency: 'normal' }, channels: [] }
+  ]
+});
+
+test('first matching route wins and sender domains match subdomains', () => {
+  assert.strictEqual(
+    resolveRoute(routes, { urgency: 'high', from: 'Ops <ops@mail.example.com>', subject: 'Production down' }).name,
+    'vendor'
+  );
+  assert.strictEqual(
+    resolveRoute(routes, { urgency: 'high', from: 'Ops <ops@notexample.com>', subject: 'Production down' }).name,
+    'page'
+  );
+  assert.strictEqual(resolveRoute(routes, { urgency: 'LOW', from: 'a@b.com' }).name, 'quiet');
+  assert.strictEqual(resolveRoute(routes, { from: 'a@b.com' }).name, 'mute');
+  assert.strictEqual(resolveRoute(routes, { urgency: 'critical' }), null);
+  assert.strictEqual(resolveRoute(null, { urgency: 'high' }), null);
+});
+
+test('channel lists and option maps normalize to the same shape', () => {
+  assert.deepStrictEqual(routes[0].channels, [{ name: 'twilio', options: {} }]);
+  assert.deepStrictEqual(routes[1].channels, [{ name: 'pushover', options: { priority: 2, sound: 'siren' } }]);
+  assert.deepStrictEqual(routes[3].channels, []);
+});
+
+test('invalid routes file falls back to default routing', async () => {
+  const routesPath = `${tmpStatePath()}.routes.json`;
+  cleanupTasks.push(() => cleanupFile(routesPath));
+  await fs.promises.writeFile(routesPath, '{"routes": [{"match": {"subject": "("}}]}');
+  assert.strictEqual(loadRoutes(routesPath), null);
+  assert.strictEqual(loadRoutes(''), null);
+});
+
+test('routes file is parsed once per version and a broken file is reported once', async (t) => {
+  const routesPath = `${tmpStatePath()}.routes.json`;
+  cleanupTasks.push(() => cleanupFile(routesPath));
+  const errors = t.mock.method(console, 'error', () => {});
+  await fs.promises.writeFile(routesPath, '{"routes": [');
+  assert.strictEqual(loadRoutes(routesPath), null);
+  assert.strictEqual(loadRoutes(routesPath), null);
+  assert.strictEqual(errors.mock.callCount(), 1);
+
+  await fs.promises.writeFile(routesPath, JSON.stringify({ routes: [{ name: 'all', channels: ['twilio'] }] }));
+  const first = loadRoutes(routesPath);
+  assert.strictEqual(first[0].name, 'all');
+  assert.strictEqual(loadRoutes(routesPath), first, 'unchanged file is served from cache');
+  assert.strictEqual(errors.mock.callCount(), 1);
+});
+
+test('routes decisions by urgency with provider-specific Pushover options', async () => {
+  const routesPath = `${tmpStatePath()}.routes.json`;
+  cleanupTasks.push(() => cleanupFile(routesPath));
+  await fs.promises.writeFile(
+    routesPath,
+    JSON.stringify({
+      routes: [
+        { name: 'page', match: { urgency: 'high' }, channels: { twilio: {}, pushover: { retry: 30, sound: 'siren' } } },
+        { name: 'quiet', match: { urgency: 'low' }, channels: { pushover: { priority: -1, sound: 'none' } } },
+        { name: 'mute', match: { urgency: 'normal' }, channels: [] }
+      ]
+    })
+  );
+
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  const pushoverCalls = [];
+  const llmStub = makeLLMStub({
+    m1: { notify: true, title: 'Prod issue', urgency: 'high' },
+    m2: { notify: true, title: 'FYI', urgency: 'low' },
+    twiliofail1: { notify: true, title: 'Meh', urgency: 'normal' }
+  });
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'twilio,pushover',
+      notificationRoutesPath: routesPath,
+      port: 0,
+      statePath,
+      pollMaxResults: 5,
+      dryRun: false,
+      pushoverToken: 'PUSHOVER_TOKEN',
+      pushoverUser: 'PUSHOVER_USER'
+    },
+    gmailClient: createMockGmail(buildEmails(['m1', 'm2', 'twiliofail1'])),
+    twilioClient: createTwilioMock('success'),
+    pushoverSender: async (opts) => {
+      pushoverCalls.push(opts);
+      return { receipt: `R-${pushoverCalls.length}` };
+    },
+    llmCaller: llmStub.caller,
+    llmHealthChecker: llmStub.health,
+    startPolling: false,
+    skipTwilioStartupCheck: true,
+    startServer: false
+  });
+  cleanupTasks.push(() => appRunner.stop());
+
+  await appRunner.pollNow();
+
+  const high = pushoverCalls.find((c) => c.title === 'Prod issue');
+  assert.strictEqual(high.priority, 2);
+  assert.strictEqual(high.retry, 30);
+  assert.strictEqual(high.expire, 7 * 24 * 60 * 60);
+  assert.strictEqual(high.sound, 'siren');
+
+  const low = pushoverCalls.find((c) => c.title === 'FYI');
+  assert.strictEqual(low.priority, -1);
+  assert.strictEqual(low.sound, 'none');
+  assert.strictEqual(pushoverCalls.length, 2);
+
+  const state = appRunner.ctx.stateManager.getState();
+  assert.ok(state.recent_decisions.find((d) => d.id === 'twiliofail1').notify, 'muted decision still recorded as notify');
+  const sends = state.recent_sends;
+  assert.deepStrictEqual(
+    sends.map((s) => `${s.decision_id}:${s.notification_provider}:${s.route}`).sort(),
+    ['m1:pushover:page', 'm1:twilio:page', 'm2:pushover:quiet']
+  );
+});
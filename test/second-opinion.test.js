@@ -0,0 +1,109 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { startApp } from '../src/index.js';
+import {
+  base64UrlEncode,
+  buildEmails,
+  createMockGmail,
+  createTwilioMock,
+  makeRawEmail,
+  tmpStatePath,
+  cleanupFile,
+  makeLLMStub
+} from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+const rawEmail = (id, from, subject, body) => ({
+  id,
+  threadId: `t-${id}`,
+  raw: base64UrlEncode(makeRawEmail({ from, to: 'me@example.com', subject, body }))
+});
+
+test('borderline and red-flag emails are re-judged by the second model', async () => {
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  const primary = makeLLMStub({
+    m1: { notify: true, title: 'Prod issue', urgency: 'high', confidence: 0.55, latencyMs: 40 },
+    sure1: { notify: true, title: 'Disk full', confidence: 0.95 },
+    ip1: { notify: true, title: 'Reset password', confidence: 0.95 }
+  });
+  const second = makeLLMStub({
+    m1: { notify: false, title: 'Staging noise', confidence: 0.9, reason: 'staging alert', latencyMs: 900 }
+  });
+  const calls = [];
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'twilio',
+      twilioFrom: '+10000000000',
+      twilioTo: '+19999999999',
+      statePath,
+      senderRulesPath: '',
+      llmModel: 'small-local',
+      llmProvider: 'ollama',
+      secondOpinionModel: 'big-remote',
+      secondOpinionBaseUrl: 'http://second.invalid',
+      dryRun: false
+    },
+    gmailClient: createMockGmail([
+      ...buildEmails(['m1']),
+      rawEmail('sure1', 'Ops <ops@example.com>', 'Disk full', 'db01 at 99%'),
+      rawEmail('ip1', 'IT <it@example.net>', 'Password expires', 'Log in at http://10.1.2.3/login')
+    ]),
+    twilioClient: createTwilioMock('success'),
+    llmCaller: async (args) => {
+      calls.push([args.emailObj.message_id, args.model, args.llmBaseUrl, args.provider]);
+      if (args.model !== 'big-remote') return primary.caller(args);
+      if (args.emailObj.message_id === 'ip1') throw new Error('second endpoint down');
+      return second.caller(args);
+    },
+    llmHealthChecker: primary.health,
+    startPolling: false,
+    startServer: false,
+    skipTwilioStartupCheck: true
+  });
+  cleanupTasks.push(() => appRunner.stop());
+  await appRunner.pollNow();
+
+  assert.deepStrictEqual(
+    calls.filter(([, model]) => model === 'big-remote').map(([id, , url]) => [id, url]).sort(),
+    [['ip1', 'http://second.invalid'], ['m1', 'http://second.invalid']]
+  );
+  // The local primary speaks Ollama's API; the second server defaults to OpenAI-compatible.
+  assert.deepStrictEqual(
+    [...new Set(calls.map(([, model, , provider]) => `${model}:${provider}`))].sort(),
+    ['big-remote:openai', 'small-local:ollama']
+  );
+
+  const state = appRunner.ctx.stateManager.getState();
+  const byId = Object.fromEntries(state.recent_decisions.map((d) => [d.id, d]));
+
+  // The second model overruled the borderline notification.
+  assert.strictEqual(byId.m1.notify, false);
+  assert.strictEqual(byId.m1.reason, 'staging alert');
+  assert.strictEqual(byId.m1.llm_latency_ms, 940);
+  assert.deepStrictEqual(byId.m1.second_opinion, {
+    trigger: 'confidence_band',
+    primary: { model: 'small-local', notify: true, confidence: 0.55, reason: 'auto-decision', latency_ms: 40 },
+    second: { model: 'big-remote', notify: false, confidence: 0.9, reason: 'staging alert', latency_ms: 900 }
+  });
+
+  assert.strictEqual(byId.sure1.second_opinion, undefined);
+
+  // A failing second endpoint leaves the first verdict in place and is not an LLM outage.
+  assert.strictEqual(byId.ip1.notify, true);
+  assert.strictEqual(byId.ip1.second_opinion.trigger, 'url_flags');
+  assert.strictEqual(byId.ip1.second_opinion.second.error, 'second endpoint down');
+  assert.strictEqual(state.stats.llm.last_error, '');
+
+  assert.deepStrictEqual(state.recent_sends.map((s) => s.decision_id).sort(), ['ip1', 'sure1']);
+});
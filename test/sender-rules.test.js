@@ -0,0 +1,179 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import { startApp } from '../src/index.js';
+import { normalizeSenderRules, matchSenderRule, loadSenderRules } from '../src/sender_rules.js';
+import {
+  base64UrlEncode,
+  buildEmails,
+  createMockGmail,
+  createTwilioMock,
+  makeRawEmail,
+  tmpStatePath,
+  cleanupFile,
+  fixtures,
+  makeLLMStub
+} from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+const newsletter = {
+  id: 'news1',
+  threadId: 't-news1',
+  raw: base64UrlEncode(
+    [
+      'List-Id: Weekly Digest <weekly.news.example.com>',
+      makeRawEmail({ from: 'News <digest@news.example.com>', to: 'me@example.com', subject: 'This week', body: 'Stories' })
+    ].join('\n')
+  )
+};
+
+const landlord = {
+  id: 'rent1',
+  threadId: 't-rent1',
+  raw: base64UrlEncode(
+    makeRawEmail({ from: 'Acme <office@acme-properties.com>', to: 'me@example.com', subject: 'Water shutoff', body: 'Tomorrow 9-11' })
+  )
+};
+
+test('validates and matches sender rules', () => {
+  assert.throws(() => normalizeSenderRules({ rules: [{ match: { from: 'a@b.com' }, action: 'maybe' }] }), /action must be/);
+  assert.throws(() => normalizeSenderRules([{ name: 'x', match: { subject: '(' }, action: 'skip' }]), /Rule x: invalid subject regex/);
+  assert.throws(() => normalizeSenderRules([{ name: 'all', match: {}, action: 'skip' }]), /match needs/);
+  assert.throws(() => normalizeSenderRules([{ match: { from: 'a@b.com' }, action: 'context' }]), /context string/);
+
+  const rules = normalizeSenderRules([
+    { name: 'spouse', match: { from: 'Jane <JANE@example.com>' }, action: 'notify' },
+    { name: 'lists', match: { headers: { 'List-Id': 'weekly' } }, action: 'skip' },
+    { name: 'vendor', match: { sender_domain: '@vendor.com', subject: 'invoice' }, action: 'context', context: 'Pay on time' }
+  ]);
+  assert.strictEqual(matchSenderRule(rules, { from: 'jane@example.com' }).name, 'spouse');
+  assert.strictEqual(matchSenderRule(rules, { from: 'x@y.com', headers: { 'list-id': '<Weekly.news>' } }).name, 'lists');
+  assert.strictEqual(matchSenderRule(rules, { from: 'x@y.com', headers: {} }), null);
+  assert.strictEqual(matchSenderRule(rules, { from: 'billing@eu.vendor.com', subject: 'Invoice 42' }).name, 'vendor');
+  assert.strictEqual(matchSenderRule(rules, { from: 'billing@vendor.com', subject: 'Hello' }), null);
+});
+
+test('sender rules file is parsed once per version and a broken file is reported once', async (t) => {
+  const rulesPath = tmpStatePath().replace('state-test', 'rules-test');
+  cleanupTasks.push(() => cleanupFile(rulesPath));
+  const errors = t.mock.method(console, 'error', () => {});
+  await fs.promises.writeFile(rulesPath, '{"rules": [');
+  assert.deepStrictEqual(loadSenderRules(rulesPath), []);
+  assert.deepStrictEqual(loadSenderRules(rulesPath), []);
+  assert.strictEqual(errors.mock.callCount(), 1);
+
+  await fs.promises.writeFile(rulesPath, JSON.stringify({ rules: [{ name: 'spouse', match: { from: 'jane@example.com' }, action: 'notify' }] }));
+  const first = loadSenderRules(rulesPath);
+  assert.strictEqual(first[0].name, 'spouse');
+  assert.strictEqual(loadSenderRules(rulesPath), first, 'unchanged file is served from cache');
+  assert.strictEqual(errors.mock.callCount(), 1);
+});
+
+test('forced rules skip the LLM and context rules reach the prompt', async () => {
+  const statePath = tmpStatePath();
+  const rulesPath = statePath.replace('state-test', 'rules-test');
+  cleanupTasks.push(() => cleanupFile(statePath));
+  cleanupTasks.push(() => cleanupFile(rulesPath));
+  await fs.promises.writeFile(
+    rulesPath,
+    JSON.stringify({
+      rules: [
+        { name: 'oncall', match: { from: 'alice@example.com' }, action: 'notify', urgency: 'high' },
+        { name: 'newsletters', match: { headers: { 'list-id': 'weekly' } }, action: 'skip' },
+        { name: 'landlord', match: { sender_domain: 'acme-properties.com' }, action: 'context', context: 'My landlord' }
+      ]
+    })
+  );
+
+  const llmStub = makeLLMStub(fixtures.llm.positive);
+  const llmCalls = [];
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'twilio',
+      twilioFrom: '+10000000000',
+      twilioTo: '+19999999999',
+      port: 0,
+      statePath,
+      senderRulesPath: rulesPath,
+      maxLlmQueue: 1,
+      dryRun: false
+    },
+    gmailClient: createMockGmail([...buildEmails(['m1']), newsletter, landlord]),
+    twilioClient: createTwilioMock('success'),
+    llmCaller: async (args) => {
+      llmCalls.push(args);
+      return llmStub.caller(args);
+    },
+    llmHealthChecker: llmStub.health,
+    startPolling: false,
+    startServer: false,
+    skipTwilioStartupCheck: true
+  });
+  cleanupTasks.push(() => appRunner.stop());
+  await appRunner.pollNow();
+
+  // Only the context rule's message was sent to the LLM, with the rule text alongside the email.
+  assert.deepStrictEqual(llmCalls.map((c) => [c.emailObj.message_id, c.context]), [['rent1', 'My landlord']]);
+
+  const state = appRunner.ctx.stateManager.getState();
+  // A one-slot LLM queue dropped nothing: forced messages never entered it.
+  assert.strictEqual(state.stats.llm_queue.dropped_total, 0);
+  const byId = Object.fromEntries(state.recent_decisions.map((d) => [d.id, d]));
+  assert.deepStrictEqual(byId.m1.rule, { name: 'oncall', action: 'notify' });
+  assert.strictEqual(byId.m1.notify, true);
+  assert.strictEqual(byId.m1.tokens, 0);
+  assert.strictEqual(byId.m1.message_packet.urgency, 'high');
+  assert.strictEqual(byId.m1.message_packet.title, 'Urgent: production down');
+  assert.deepStrictEqual(byId.news1.rule, { name: 'newsletters', action: 'skip' });
+  assert.strictEqual(byId.news1.notify, false);
+  assert.deepStrictEqual(byId.rent1.rule, { name: 'landlord', action: 'context' });
+
+  assert.deepStrictEqual(
+    state.recent_sends.map((s) => s.decision_id),
+    ['m1']
+  );
+  assert.strictEqual(state.stats.llm_requests, 1);
+});
+
+test('rules are edited over /api/sender-rules', async () => {
+  const statePath = tmpStatePath();
+  const rulesPath = statePath.replace('state-test', 'rules-test');
+  cleanupTasks.push(() => cleanupFile(statePath));
+  cleanupTasks.push(() => cleanupFile(rulesPath));
+  const llmStub = makeLLMStub(fixtures.llm.positive);
+  const appRunner = await startApp({
+    configOverrides: { port: 0, statePath, senderRulesPath: rulesPath, dryRun: true },
+    gmailClient: createMockGmail([]),
+    llmCaller: llmStub.caller,
+    llmHealthChecker: llmStub.health,
+    startPolling: false,
+    skipTwilioStartupCheck: true
+  });
+  cleanupTasks.push(() => appRunner.stop());
+  const url = `http://127.0.0.1:${appRunner.server.address().port}/api/sender-rules`;
+  const put = (body) =>
+    fetch(url, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+  assert.deepStrictEqual((await (await fetch(url)).json()).rules, { rules: [] });
+
+  const rules = { rules: [{ name: 'spouse', match: { from: 'jane@example.com' }, action: 'notify' }] };
+  const saved = await put(rules);
+  assert.deepStrictEqual(await saved.json(), { ok: true, count: 1 });
+
+  const bad = await put({ rules: [{ name: 'broken', match: { subject: '[' }, action: 'skip' }] });
+  assert.strictEqual(bad.status, 400);
+  assert.match((await bad.json()).error, /Rule broken/);
+
+  // The rejected edit left the saved file alone.
+  assert.deepStrictEqual((await (await fetch(url)).json()).rules, rules);
+});
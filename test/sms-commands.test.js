@@ -0,0 +1,119 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import twilio from 'twilio';
+import { parseDuration, parseSmsCommand, isSenderMuted } from '../src/sms_commands.js';
+import { buildEmails, fixtures, startTestApp } from './helpers.js';
+
+const AUTH_TOKEN = 'test_auth_token';
+const WEBHOOK_URL = 'https://screener.example.com/api/twilio/inbound';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+const startSmsApp = async () => {
+  const { appRunner } = await startTestApp(
+    {
+      notificationService: 'twilio',
+      twilioAuthToken: AUTH_TOKEN,
+      twilioWebhookUrl: WEBHOOK_URL
+    },
+    { emails: buildEmails(['m1']), startServer: true, cleanupTasks }
+  );
+  await appRunner.pollNow();
+
+  const inbound = async (payload, signature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, WEBHOOK_URL, payload)) => {
+    const res = await fetch(`http://127.0.0.1:${appRunner.server.address().port}/api/twilio/inbound`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature },
+      body: new URLSearchParams(payload).toString()
+    });
+    return { status: res.status, text: await res.text() };
+  };
+  return { appRunner, inbound };
+};
+
+test('parses commands and durations', () => {
+  assert.deepStrictEqual(parseSmsCommand('  Snooze 90m '), { action: 'snooze', arg: '90m' });
+  assert.deepStrictEqual(parseSmsCommand('WRONG just a newsletter'), { action: 'wrong', arg: 'just a newsletter' });
+  assert.strictEqual(parseSmsCommand('ok thanks').action, 'help');
+  assert.strictEqual(parseDuration('2h'), 2 * 60 * 60 * 1000);
+  assert.strictEqual(parseDuration('1 day'), 24 * 60 * 60 * 1000);
+  assert.strictEqual(parseDuration('soon'), null);
+  assert.ok(isSenderMuted({ 'example.com': {} }, 'Alice <alice@mail.example.com>'));
+  assert.ok(!isSenderMuted({ 'alice@example.com': {} }, 'bob@example.com'));
+});
+
+test('rejects unsigned requests and unknown numbers', async () => {
+  const { inbound } = await startSmsApp();
+
+  const forged = await inbound(fixtures.twilioInbound.mute, 'bogus');
+  assert.strictEqual(forged.status, 403);
+
+  const stranger = await inbound(fixtures.twilioInbound.stranger);
+  assert.strictEqual(stranger.status, 403);
+});
+
+test('MORE replies with the full email body', async () => {
+  const { appRunner, inbound } = await startSmsApp();
+
+  const res = await inbound(fixtures.twilioInbound.more);
+
+  assert.strictEqual(res.status, 200);
+  assert.match(res.text, /<Response><Message>Urgent: production down/);
+  assert.match(res.text, /customers are 500ing/);
+  const send = appRunner.ctx.stateManager.getState().recent_sends[0];
+  assert.strictEqual(send.replies[0].command, 'more');
+  assert.strictEqual(send.replies[0].message_sid, fixtures.twilioInbound.more.MessageSid);
+});
+
+test('WRONG labels the answered decision as a false positive', async () => {
+  const { appRunner, inbound } = await startSmsApp();
+
+  const res = await inbound(fixtures.twilioInbound.wrong);
+
+  assert.match(res.text, /false positive/);
+  const decision = appRunner.ctx.stateManager.getState().recent_decisions.find((d) => d.id === 'm1');
+  assert.strictEqual(decision.label.verdict, 'false_positive');
+  assert.strictEqual(decision.label.reason, 'not actually urgent');
+  assert.strictEqual(decision.label.source, 'sms');
+});
+
+test('MUTE and SNOOZE change what gets notified next', async () => {
+  const { appRunner, inbound } = await startSmsApp();
+
+  const mute = await inbound(fixtures.twilioInbound.mute);
+  assert.match(mute.text, /Muted alice@example\.com/);
+  const snooze = await inbound(fixtures.twilioInbound.snooze);
+  assert.match(snooze.text, /Snoozed until/);
+
+  const state = appRunner.ctx.stateManager.getState();
+  assert.ok(state.muted_senders['alice@example.com']);
+  assert.ok(state.snooze_until > Date.now() + 119 * 60 * 1000);
+  assert.deepStrictEqual(
+    state.recent_sends[0].replies.map((r) => r.command),
+    ['mute', 'snooze']
+  );
+
+  const help = await inbound(fixtures.twilioInbound.unknown);
+  assert.match(help.text, /Reply MORE/);
+});
+
+test('a failure while applying a command answers 500 instead of hanging', async () => {
+  const { appRunner, inbound } = await startSmsApp();
+  appRunner.ctx.stateManager.save = async () => {
+    throw new Error('disk full');
+  };
+
+  const res = await inbound(fixtures.twilioInbound.snooze);
+
+  assert.strictEqual(res.status, 500);
+  assert.strictEqual(res.text, 'Failed to apply command');
+});
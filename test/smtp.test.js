@@ -0,0 +1,141 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import net from 'node:net';
+import { startApp } from '../src/index.js';
+import { buildEmails, createMockGmail, tmpStatePath, cleanupFile, fixtures, makeLLMStub } from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+// Just enough of RFC 5321 for nodemailer: no STARTTLS, no AUTH, accepts every message.
+const startSmtpServer = async () => {
+  const messages = [];
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let buffer = '';
+    let data = null;
+    let envelope = { to: [] };
+    socket.write('220 localhost ESMTP test\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf-8');
+      let idx;
+      while ((idx = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        if (data !== null) {
+          if (line === '.') {
+            messages.push({ ...envelope, raw: data.join('\n') });
+            data = null;
+            envelope = { to: [] };
+            socket.write('250 OK queued\r\n');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === 'EHLO' || cmd === 'HELO') socket.write('250 localhost\r\n');
+        else if (cmd === 'MAIL') {
+          envelope.from = line;
+          socket.write('250 OK\r\n');
+        } else if (cmd === 'RCPT') {
+          envelope.to.push(line);
+          socket.write('250 OK\r\n');
+        } else if (cmd === 'DATA') {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (cmd === 'QUIT') socket.end('221 Bye\r\n');
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  cleanupTasks.push(
+    () =>
+      new Promise((resolve) => {
+        for (const s of sockets) s.destroy();
+        server.close(resolve);
+      })
+  );
+  return { port: server.address().port, messages };
+};
+
+test('smtp notifier emails the packet title, body and Gmail link via the configured host', async () => {
+  const smtp = await startSmtpServer();
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  const llmStub = makeLLMStub(fixtures.llm.positive);
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'smtp',
+      smtpHost: '127.0.0.1',
+      smtpPort: smtp.port,
+      smtpFrom: 'screener@example.com',
+      smtpTo: 'oncall@example.com',
+      port: 0,
+      statePath,
+      dryRun: false
+    },
+    gmailClient: createMockGmail(buildEmails(['m1'])),
+    llmCaller: llmStub.caller,
+    llmHealthChecker: llmStub.health,
+    startPolling: false,
+    startServer: false
+  });
+  cleanupTasks.push(() => appRunner.stop());
+
+  await appRunner.pollNow();
+
+  assert.strictEqual(smtp.messages.length, 1);
+  const [mail] = smtp.messages;
+  assert.match(mail.to[0], /oncall@example\.com/);
+  assert.match(mail.raw, /Subject: \[high\] Prod issue/);
+  assert.match(mail.raw, /Open in Gmail: https:\/\/mail\.google\.com/);
+
+  const state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(state.recent_sends.length, 1);
+  assert.strictEqual(state.recent_sends[0].notification_provider, 'smtp');
+  assert.strictEqual(state.recent_sends[0].status, 'sent');
+  assert.ok(state.recent_sends[0].smtp_message_id);
+  assert.strictEqual(appRunner.getStatus().health.smtp.ok, true);
+});
+
+test('smtp notifier honours dry run without opening a connection', async () => {
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  const llmStub = makeLLMStub(fixtures.llm.positive);
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'smtp',
+      smtpHost: '127.0.0.1',
+      smtpPort: 1,
+      smtpTo: 'oncall@example.com',
+      port: 0,
+      statePath,
+      dryRun: true
+    },
+    gmailClient: createMockGmail(buildEmails(['m1'])),
+    llmCaller: llmStub.caller,
+    llmHealthChecker: llmStub.health,
+    startPolling: false,
+    skipTwilioStartupCheck: true,
+    startServer: false
+  });
+  cleanupTasks.push(() => appRunner.stop());
+
+  await appRunner.pollNow();
+
+  const send = appRunner.ctx.stateManager.getState().recent_sends[0];
+  assert.strictEqual(send.status, 'sent');
+  assert.strictEqual(send.smtp_message_id, 'DRY_RUN');
+});
@@ -0,0 +1,152 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { base64UrlEncode, makeRawEmail, makeLLMStub, startTestApp } from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+// Three messages in one noisy thread plus one unrelated email.
+const threadEmails = () =>
+  [
+    { id: 'r1', threadId: 't-outage', from: 'ops@example.com', subject: 'Outage' },
+    { id: 'r2', threadId: 't-outage', from: 'dev@example.com', subject: 'Re: Outage' },
+    { id: 'r3', threadId: 't-outage', from: 'ops@example.com', subject: 'Re: Outage' },
+    { id: 'other', threadId: 't-other', from: 'boss@example.com', subject: 'Budget' }
+  ].map(({ id, threadId, from, subject }) => ({
+    id,
+    threadId,
+    raw: base64UrlEncode(makeRawEmail({ from, to: 'me@example.com', subject, body: 'Please look' }))
+  }));
+
+const startThreadApp = (configOverrides, { onSend, urgency = 'normal' } = {}) =>
+  startTestApp(
+    { threadCooldownMs: 60 * 60 * 1000, ...configOverrides },
+    {
+      emails: threadEmails(),
+      llm: makeLLMStub({ default: { notify: true, title: 'Needs attention', urgency } }),
+      onSend,
+      cleanupTasks
+    }
+  );
+
+test('merge mode holds replies and sends one thread update after the cooldown', async () => {
+  const { appRunner, pushoverCalls } = await startThreadApp({ threadCooldownMode: 'merge' });
+
+  await appRunner.pollNow();
+
+  assert.strictEqual(pushoverCalls.length, 2);
+  let state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(state.threads['t-outage'].pending.length, 2);
+  assert.deepStrictEqual(
+    state.recent_sends.map((s) => s.thread_id),
+    ['t-outage', 't-other']
+  );
+
+  await appRunner.flushThreadUpdates();
+  assert.strictEqual(pushoverCalls.length, 2);
+
+  state.threads['t-outage'].notified_at -= 2 * 60 * 60 * 1000;
+  await appRunner.flushThreadUpdates();
+
+  assert.strictEqual(pushoverCalls.length, 3);
+  assert.strictEqual(pushoverCalls[2].title, 'Update on thread "Outage": 2 new messages');
+  state = appRunner.ctx.stateManager.getState();
+  const update = state.recent_sends.at(-1);
+  assert.strictEqual(update.reason, 'thread_update');
+  assert.strictEqual(update.thread_id, 't-outage');
+  assert.deepStrictEqual(
+    update.digest_items.map((i) => i.decision_id),
+    ['r2', 'r3']
+  );
+  assert.strictEqual(state.threads['t-outage'].pending.length, 0);
+});
+
+test('suppress mode drops replies and records the thread on recent_sends', async () => {
+  const { appRunner, pushoverCalls } = await startThreadApp({ threadCooldownMode: 'suppress' });
+
+  await appRunner.pollNow();
+
+  assert.strictEqual(pushoverCalls.length, 2);
+  const state = appRunner.ctx.stateManager.getState();
+  const suppressed = state.recent_sends.filter((s) => s.status === 'suppressed');
+  assert.deepStrictEqual(
+    suppressed.map((s) => [s.decision_id, s.thread_id, s.suppressed_by]),
+    [
+      ['r2', 't-outage', 'thread_cooldown'],
+      ['r3', 't-outage', 'thread_cooldown']
+    ]
+  );
+  assert.strictEqual(state.stats.notifications_sent, 2);
+});
+
+test('high-urgency replies skip the cooldown and are sent at once', async () => {
+  const { appRunner, pushoverCalls } = await startThreadApp({ threadCooldownMode: 'merge' }, { urgency: 'high' });
+
+  await appRunner.pollNow();
+
+  assert.strictEqual(pushoverCalls.length, 4);
+  assert.strictEqual(appRunner.ctx.stateManager.getState().threads['t-outage'].pending.length, 0);
+});
+
+test('threadCooldownMs=0 notifies every message', async () => {
+  const { appRunner, pushoverCalls } = await startThreadApp({ threadCooldownMs: 0 });
+
+  await appRunner.pollNow();
+
+  assert.strictEqual(pushoverCalls.length, 4);
+});
+
+test('replies held by quiet hours are deferred instead of merged, and updates wait for quiet hours', async () => {
+  const quiet = await startThreadApp({ threadCooldownMode: 'merge', quietHours: '00:00-24:00' });
+  await quiet.appRunner.pollNow();
+  let state = quiet.appRunner.ctx.stateManager.getState();
+  assert.strictEqual(quiet.pushoverCalls.length, 0);
+  assert.strictEqual(state.deferred_notifications.length, 4);
+  assert.strictEqual(state.threads['t-outage'], undefined);
+
+  const { appRunner, pushoverCalls } = await startThreadApp({ threadCooldownMode: 'merge' });
+  await appRunner.pollNow();
+  state = appRunner.ctx.stateManager.getState();
+  state.threads['t-outage'].notified_at -= 2 * 60 * 60 * 1000;
+  appRunner.ctx.config.quietHours = '00:00-24:00';
+  await appRunner.flushThreadUpdates();
+  assert.strictEqual(pushoverCalls.length, 2, 'no thread update during quiet hours');
+  assert.strictEqual(state.threads['t-outage'].pending.length, 2);
+
+  appRunner.ctx.config.quietHours = '';
+  await appRunner.flushThreadUpdates();
+  assert.strictEqual(pushoverCalls.length, 3);
+});
+
+test('only delivered replies leave the thread; a normal send keeps the rest pending', async () => {
+  let appRunner;
+  const late = { decision_id: 'r4', title: 'Late reply', urgency: 'high' };
+  const started = await startThreadApp(
+    { threadCooldownMode: 'merge' },
+    {
+      onSend: (opts) => {
+        if (opts.title.startsWith('Update on thread')) appRunner.ctx.stateManager.addThreadUpdate('t-outage', late);
+      }
+    }
+  );
+  appRunner = started.appRunner;
+  await appRunner.pollNow();
+  const state = appRunner.ctx.stateManager.getState();
+  state.threads['t-outage'].notified_at -= 2 * 60 * 60 * 1000;
+
+  await appRunner.flushThreadUpdates();
+
+  assert.strictEqual(started.pushoverCalls.length, 3);
+  assert.deepStrictEqual(state.threads['t-outage'].pending, [late], 'the reply merged mid-send is kept');
+
+  appRunner.ctx.stateManager.markThreadNotified('t-outage', 'Outage');
+  assert.deepStrictEqual(state.threads['t-outage'].pending, [late]);
+});
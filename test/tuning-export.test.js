@@ -0,0 +1,106 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { startApp } from '../src/index.js';
+import { exportTuningDataset } from '../src/tuning_export.js';
+import {
+  buildEmails,
+  createMockGmail,
+  createTwilioMock,
+  tmpStatePath,
+  cleanupFile,
+  fixtures,
+  makeLLMStub
+} from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+test('exports labelled decisions in the prompt-tuning file format', async () => {
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  const llmStub = makeLLMStub(fixtures.llm.positive);
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'twilio',
+      twilioFrom: '+10000000000',
+      twilioTo: '+19999999999',
+      port: 0,
+      statePath,
+      dryRun: false
+    },
+    gmailClient: createMockGmail(buildEmails(['m1', 'm2'])),
+    twilioClient: createTwilioMock('success'),
+    llmCaller: llmStub.caller,
+    llmHealthChecker: llmStub.health,
+    startPolling: false,
+    skipTwilioStartupCheck: true
+  });
+  cleanupTasks.push(() => appRunner.stop());
+  await appRunner.pollNow();
+
+  const base = `http://127.0.0.1:${appRunner.server.address().port}`;
+  const exportDataset = async () => (await fetch(`${base}/api/tuning-dataset`)).json();
+
+  // Nothing labelled yet: backfill remains the way to export unlabelled decisions.
+  const empty = await exportDataset();
+  assert.deepStrictEqual(empty.counts, { TP: 0, FP: 0, TN: 0, FN: 0 });
+  assert.deepStrictEqual([empty.notified, empty.notnotified], [[], []]);
+
+  await fetch(`${base}/api/decisions/m1/label`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ verdict: 'false_positive', reason: 'staging only' })
+  });
+  await fetch(`${base}/api/decisions/m2/label`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ verdict: 'correct', reason: 'ignored for correct labels' })
+  });
+
+  const data = await exportDataset();
+  assert.deepStrictEqual(data.counts, { TP: 0, FP: 1, TN: 1, FN: 0 });
+  assert.deepStrictEqual(data.skipped, []);
+
+  const [fp] = data.notified;
+  assert.strictEqual(fp.id, 'm1');
+  assert.strictEqual(fp.label, 'FP');
+  assert.strictEqual(fp.reason, 'staging only');
+  assert.strictEqual(fp.original_decision.notify, true);
+  assert.strictEqual(fp.original_decision.message_packet.title, 'Prod issue');
+  assert.ok(fp.gmail_link);
+  assert.ok(fp.trimmed_email.body_text.length > 0);
+  assert.ok(fp.trimmed_email.stats);
+
+  const [tn] = data.notnotified;
+  assert.strictEqual(tn.id, 'm2');
+  assert.strictEqual(tn.label, 'TN');
+  assert.strictEqual(tn.reason, undefined);
+  assert.strictEqual(tn.original_decision.notify, false);
+});
+
+test('reports decisions whose email cannot be loaded', async () => {
+  const decisions = [
+    { id: 'a', notify: false, label: { verdict: 'false_negative', reason: 'invoice' } },
+    { id: 'b', notify: true, label: { verdict: 'correct' } },
+    { id: 'c', notify: true }
+  ];
+  const { records, skipped } = await exportTuningDataset(decisions, {
+    loadEmail: async (d) => {
+      if (d.id === 'b') throw new Error('Requested entity was not found.');
+      return { gmail_link: 'https://mail.google.com/x', date: 'Mon', trimmed_email: { body_text: 'hi' } };
+    }
+  });
+  assert.deepStrictEqual(
+    records.map((r) => [r.folder, r.record.id, r.record.label, r.record.reason]),
+    [['notnotified', 'a', 'FN', 'invoice']]
+  );
+  assert.deepStrictEqual(skipped, [{ id: 'b', error: 'Requested entity was not found.' }]);
+});
@@ -56,6 +56,9 @@ test('handles Twilio send failure gracefully', async () => {
   const state = appRunner.ctx.stateManager.getState();
   assert.strictEqual(state.processed.twiliofail1.status, 'ok');
   assert.strictEqual(state.stats.notifications_sent, 0);
-  assert.strictEqual(state.recent_sends.length, 0);
+  assert.strictEqual(state.recent_sends.length, 1);
+  assert.strictEqual(state.recent_sends[0].status, 'failed');
+  assert.strictEqual(state.recent_sends[0].notification_provider, 'twilio');
+  assert.match(state.recent_sends[0].error, /twilio send failed/);
   assert.ok(state.stats.twilio.last_error.includes('twilio send failed'));
 });
@@ -0,0 +1,152 @@
+process.env.NO_AUTO_START = '1';
+process.env.NODE_ENV = 'test';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { startApp } from '../src/index.js';
+import { sendWebhook, signPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER } from '../src/webhook.js';
+import { buildEmails, createMockGmail, tmpStatePath, cleanupFile, fixtures, makeLLMStub } from './helpers.js';
+
+let cleanupTasks = [];
+afterEach(async () => {
+  for (const fn of cleanupTasks.reverse()) {
+    await fn();
+  }
+  cleanupTasks = [];
+});
+
+// Local receiver: responds with the queued status codes in order, then 200.
+const startReceiver = async (statuses = []) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end('ok');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  cleanupTasks.push(() => new Promise((resolve) => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+};
+
+test('signs each request and marks 5xx failures as retryable', async () => {
+  const receiver = await startReceiver([503]);
+  const attempts = [];
+  const send = () =>
+    sendWebhook({ url: receiver.url, payload: { hello: 'world' }, secret: 's3cret', attempt: 2, onAttempt: (a) => attempts.push(a) });
+
+  await assert.rejects(send(), (err) => err.retryable === true && /Webhook .* failed/.test(err.message));
+  const res = await send();
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(receiver.requests.length, 2, 'no retries inside one send');
+  assert.deepStrictEqual(attempts.map((a) => [a.attempt, a.ok, a.status]), [
+    [2, false, 503],
+    [2, true, 200]
+  ]);
+  for (const req of receiver.requests) {
+    const ts = req.headers[TIMESTAMP_HEADER.toLowerCase()];
+    assert.strictEqual(req.headers[SIGNATURE_HEADER.toLowerCase()], signPayload('s3cret', ts, req.body));
+  }
+});
+
+test('marks other 4xx responses as not retryable', async () => {
+  const receiver = await startReceiver([400]);
+  await assert.rejects(sendWebhook({ url: receiver.url, payload: {} }), (err) => err.retryable === false);
+  assert.strictEqual(receiver.requests.length, 1);
+});
+
+const startWebhookApp = async (urls, { startServer = false } = {}) => {
+  const statePath = tmpStatePath();
+  cleanupTasks.push(() => cleanupFile(statePath));
+  const llmStub = makeLLMStub(fixtures.llm.positive);
+  const appRunner = await startApp({
+    configOverrides: {
+      notificationService: 'webhook',
+      webhookUrls: urls.join(','),
+      webhookSecret: 'topsecret',
+      notifyRetryBackoffMs: 0,
+      port: 0,
+      statePath,
+      dryRun: false
+    },
+    gmailClient: createMockGmail(buildEmails(['m1', 'm2'])),
+    llmCaller: llmStub.caller,
+    llmHealthChecker: llmStub.health,
+    startPolling: false,
+    startServer
+  });
+  cleanupTasks.push(() => appRunner.stop());
+  return appRunner;
+};
+
+test('webhook notifier posts decision JSON and retries only the endpoints that failed', async () => {
+  const good = await startReceiver();
+  const flaky = await startReceiver([502]);
+  const appRunner = await startWebhookApp([good.url, flaky.url]);
+
+  await appRunner.pollNow();
+
+  assert.strictEqual(good.requests.length, 1);
+  assert.strictEqual(flaky.requests.length, 1);
+  const body = JSON.parse(good.requests[0].body);
+  assert.strictEqual(body.event, 'decision');
+  assert.strictEqual(body.id, 'm1');
+  assert.strictEqual(body.message_packet.title, 'Prod issue');
+  assert.strictEqual(body.confidence, 0.9);
+  assert.ok(body.gmail_link);
+  assert.ok(body.from && body.subject && body.reason);
+
+  const state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(state.notification_retries.length, 1);
+  assert.deepStrictEqual(state.notification_retries[0].payload.options.webhook_urls, [flaky.url]);
+
+  await appRunner.retryNotifications();
+
+  assert.strictEqual(good.requests.length, 1, 'the endpoint that accepted it is not posted to again');
+  assert.strictEqual(flaky.requests.length, 2);
+  assert.strictEqual(state.notification_retries.length, 0);
+  assert.deepStrictEqual(
+    state.recent_sends.map((s) => [s.status, s.notification_provider]),
+    [
+      ['failed', 'webhook'],
+      ['sent', 'webhook']
+    ]
+  );
+  assert.deepStrictEqual(state.recent_sends[1].webhook_endpoints, [flaky.url]);
+  assert.deepStrictEqual(
+    state.webhook_deliveries.map((d) => [d.url === flaky.url ? 'flaky' : 'good', d.attempt, d.ok]).sort(),
+    [
+      ['flaky', 1, false],
+      ['flaky', 2, true],
+      ['good', 1, true]
+    ]
+  );
+  assert.strictEqual(appRunner.getStatus().health.webhook.ok, true);
+});
+
+test('a rejected endpoint is dead-lettered at once and a resend only posts to it', async () => {
+  const good = await startReceiver();
+  const rejecting = await startReceiver([400]);
+  const appRunner = await startWebhookApp([good.url, rejecting.url], { startServer: true });
+
+  await appRunner.pollNow();
+
+  const state = appRunner.ctx.stateManager.getState();
+  assert.strictEqual(state.notification_retries.length, 0);
+  assert.strictEqual(state.dead_letters.length, 1);
+  assert.deepStrictEqual(state.dead_letters[0].payload.options.webhook_urls, [rejecting.url]);
+
+  const { id } = state.dead_letters[0];
+  const port = appRunner.server.address().port;
+  const res = await fetch(`http://127.0.0.1:${port}/api/dead-letters/${encodeURIComponent(id)}/resend`, { method: 'POST' });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(good.requests.length, 1);
+  assert.strictEqual(rejecting.requests.length, 2);
+});